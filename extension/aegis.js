@@ -0,0 +1,157 @@
+import { Scrypt } from './scrypt.js';
+import { ImportError, ImporterRegistry } from './importers.js';
+
+/**
+ * Aegis Authenticator backup import
+ * Reads plain and encrypted vault exports; encrypted vaults wrap the master key in
+ * scrypt-derived password slots and encrypt the db with AES-256-GCM
+ */
+export class AegisImporter {
+  static NAME = 'Aegis';
+  static SLOT_PASSWORD = 1;
+  static ICON_TYPES = ['image/png', 'image/jpeg', 'image/svg+xml'];
+
+  /**
+   * Check if the file is an Aegis vault
+   */
+  static detect({ json }) {
+    return !!json && typeof json === 'object' && 'header' in json && 'db' in json && typeof json.version === 'number';
+  }
+
+  /**
+   * Encrypted vaults keep the db as a Base64 string
+   */
+  static isEncrypted({ json }) {
+    return typeof json.db === 'string';
+  }
+
+  /**
+   * Read a vault, decrypting it with password when needed
+   * Returns { accounts, skipped } with skipped entries as { name, reason }
+   */
+  static async import(contents, password) {
+    if (!this.detect(contents)) {
+      throw new ImportError('This is not an Aegis backup');
+    }
+
+    const { json } = contents;
+    const db = this.isEncrypted(contents) ? await this.decryptDb(json, password) : json.db;
+    if (!db || !Array.isArray(db.entries)) {
+      throw new ImportError('The Aegis backup has no entries');
+    }
+
+    // Version 3 vaults keep groups in a list and reference them by uuid
+    const groups = Array.isArray(db.groups) ? db.groups.filter(group => group && typeof group === 'object') : [];
+    const groupNames = new Map(groups.map(group => [group.uuid, group.name]));
+    return ImporterRegistry.collect(db.entries, entry => this.toAccount(entry, groupNames));
+  }
+
+  /**
+   * Unlock the master key with a password slot, then decrypt the db
+   */
+  static async decryptDb(json, password) {
+    if (!password) {
+      throw new ImportError('This Aegis backup is encrypted, enter its password');
+    }
+
+    const slots = (json.header?.slots || []).filter(slot => slot.type === this.SLOT_PASSWORD);
+    if (slots.length === 0) {
+      throw new ImportError('This backup has no password slot (biometric-only vaults cannot be imported)');
+    }
+
+    const passwordBytes = new TextEncoder().encode(password);
+    let masterKey = null;
+    for (const slot of slots) {
+      let slotKey;
+      try {
+        slotKey = await Scrypt.derive(passwordBytes, this.hexToBytes(slot.salt), {
+          N: slot.n,
+          r: slot.r,
+          p: slot.p,
+          dkLen: 32
+        });
+      } catch (e) {
+        throw new ImportError(`The backup's password slot is damaged (${e.message})`);
+      }
+      try {
+        masterKey = await this.decryptGcm(slotKey, slot.key_params, this.hexToBytes(slot.key));
+        break;
+      } catch (e) {
+        // Wrong password for this slot, try the next one
+      }
+    }
+    if (!masterKey) {
+      throw new ImportError('Wrong password');
+    }
+
+    try {
+      const ciphertext = Uint8Array.from(atob(json.db), c => c.charCodeAt(0));
+      const plain = await this.decryptGcm(masterKey, json.header.params, ciphertext);
+      return JSON.parse(new TextDecoder().decode(plain));
+    } catch (e) {
+      throw new ImportError('The backup is corrupt and could not be decrypted');
+    }
+  }
+
+  /**
+   * AES-GCM with Aegis' separate nonce and tag ({ nonce, tag } in hex)
+   */
+  static async decryptGcm(keyBytes, params, ciphertext) {
+    const tag = this.hexToBytes(params.tag);
+    const data = new Uint8Array(ciphertext.length + tag.length);
+    data.set(ciphertext);
+    data.set(tag, ciphertext.length);
+
+    const key = await crypto.subtle.importKey('raw', keyBytes, 'AES-GCM', false, ['decrypt']);
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: this.hexToBytes(params.nonce) }, key, data);
+    return new Uint8Array(plain);
+  }
+
+  /**
+   * Map an Aegis entry to account fields, or { name, reason } if it can't be imported
+   */
+  static toAccount(entry, groupNames) {
+    if (!entry || typeof entry !== 'object') {
+      return { reason: 'Not a valid Aegis entry' };
+    }
+
+    const info = entry.info || {};
+    const account = ImporterRegistry.toAccount({
+      issuer: entry.issuer,
+      accountName: entry.name,
+      secret: info.secret,
+      algorithm: info.algo,
+      digits: info.digits,
+      period: info.period,
+      type: entry.type,
+      counter: info.counter
+    });
+    if (account.reason) return account;
+
+    // Older vaults store a single group name, version 3 a list of group uuids
+    const groups = Array.isArray(entry.groups)
+      ? entry.groups.map(uuid => groupNames.get(uuid)).filter(Boolean)
+      : [entry.group].filter(group => typeof group === 'string' && group);
+    if (groups.length) {
+      account.groups = groups;
+    }
+
+    if (typeof entry.note === 'string' && entry.note.trim()) {
+      account.note = entry.note.trim();
+    }
+
+    if (entry.icon && this.ICON_TYPES.includes(entry.icon_mime) && /^[A-Za-z0-9+/]+=*$/.test(entry.icon)) {
+      account.icon = `data:${entry.icon_mime};base64,${entry.icon}`;
+    }
+
+    return account;
+  }
+
+  static hexToBytes(hex) {
+    const bytes = new Uint8Array((hex || '').length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+  }
+}
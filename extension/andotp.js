@@ -0,0 +1,118 @@
+import { ImportError, ImporterRegistry } from './importers.js';
+
+/**
+ * andOTP backup import, plain JSON and password-encrypted (.json.aes)
+ * Encrypted backups are iterations (4 bytes, big-endian) || salt (12) || iv (12) ||
+ * AES-256-GCM ciphertext, with a PBKDF2-HMAC-SHA1 key. Backups from before andOTP 0.6.3
+ * have no header and use SHA-256 of the password as the key
+ */
+export class AndOtpImporter {
+  static NAME = 'andOTP';
+  static SALT_LENGTH = 12;
+  static IV_LENGTH = 12;
+  static MIN_ITERATIONS = 1000;
+  static MAX_ITERATIONS = 10000000;
+
+  static detect(contents) {
+    const { json, bytes, name } = contents;
+    if (Array.isArray(json)) {
+      return json.length > 0 && json.every(entry => entry && typeof entry === 'object' && 'secret' in entry && 'type' in entry);
+    }
+    if (json !== null || bytes.length < 4 + this.SALT_LENGTH + this.IV_LENGTH + 16) {
+      return false;
+    }
+    return /\.aes$/i.test(name || '') || this.isPlausibleIterations(this.readIterations(bytes));
+  }
+
+  static isEncrypted({ json }) {
+    return json === null;
+  }
+
+  static async import(contents, password) {
+    const entries = this.isEncrypted(contents)
+      ? await this.decrypt(contents.bytes, password)
+      : contents.json;
+    if (!Array.isArray(entries)) {
+      throw new ImportError('The andOTP backup has no entries');
+    }
+    return ImporterRegistry.collect(entries, entry => this.toAccount(entry));
+  }
+
+  static async decrypt(bytes, password) {
+    if (!password) {
+      throw new ImportError('This andOTP backup is encrypted, enter its password');
+    }
+
+    let plain = null;
+    const iterations = this.readIterations(bytes);
+    if (this.isPlausibleIterations(iterations)) {
+      const salt = bytes.subarray(4, 4 + this.SALT_LENGTH);
+      const iv = bytes.subarray(4 + this.SALT_LENGTH, 4 + this.SALT_LENGTH + this.IV_LENGTH);
+      const key = await ImporterRegistry.pbkdf2Key(password, salt, iterations, 'SHA-1');
+      plain = await this.tryDecrypt(key, iv, bytes.subarray(4 + this.SALT_LENGTH + this.IV_LENGTH));
+    }
+
+    if (!plain) {
+      // Legacy format without a key derivation header
+      const hash = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(password));
+      const key = await crypto.subtle.importKey('raw', hash, 'AES-GCM', false, ['decrypt']);
+      plain = await this.tryDecrypt(key, bytes.subarray(0, this.IV_LENGTH), bytes.subarray(this.IV_LENGTH));
+    }
+
+    if (!plain) {
+      throw new ImportError('Wrong password or corrupt backup');
+    }
+    try {
+      return JSON.parse(new TextDecoder().decode(plain));
+    } catch (e) {
+      throw new ImportError('The backup is corrupt and could not be decrypted');
+    }
+  }
+
+  static async tryDecrypt(key, iv, ciphertext) {
+    try {
+      return await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, ciphertext);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  static readIterations(bytes) {
+    return new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0);
+  }
+
+  static isPlausibleIterations(iterations) {
+    return iterations >= this.MIN_ITERATIONS && iterations <= this.MAX_ITERATIONS;
+  }
+
+  static toAccount(entry) {
+    if (!entry || typeof entry !== 'object') {
+      return { reason: 'Not a valid andOTP entry' };
+    }
+
+    // Older andOTP versions keep the issuer inside the label as "Issuer - account"
+    let issuer = typeof entry.issuer === 'string' ? entry.issuer : '';
+    let accountName = typeof entry.label === 'string' ? entry.label : '';
+    if (!issuer && accountName.includes(' - ')) {
+      [issuer, accountName] = accountName.split(/ - (.*)/s);
+    }
+
+    const account = ImporterRegistry.toAccount({
+      issuer,
+      accountName,
+      secret: entry.secret,
+      algorithm: entry.algorithm,
+      digits: entry.digits,
+      period: entry.period,
+      type: entry.type,
+      counter: entry.counter
+    });
+    if (account.reason) return account;
+
+    const tags = Array.isArray(entry.tags) ? entry.tags.filter(tag => typeof tag === 'string' && tag) : [];
+    if (tags.length) {
+      account.groups = tags;
+    }
+    return account;
+  }
+}
@@ -1,10 +1,25 @@
 // Background service worker for Chrome extension
 // Handles alarms, notifications, and background sync
+import { StorageService } from './storage.js';
+import { StorageMigrations } from './storage-migrations.js';
+
+const storage = new StorageService();
 
 // Set up alarm for OTP refresh
-chrome.runtime.onInstalled.addListener(() => {
+chrome.runtime.onInstalled.addListener(async () => {
   // Create alarm to fire every 30 seconds (TOTP period)
   chrome.alarms.create('otpRefresh', { periodInMinutes: 0.5 });
+  chrome.alarms.create('autoLock', { periodInMinutes: 1 });
+
+  // Upgrade stored data on install and update; steps that rewrite accounts
+  // run here if the vault is still unlocked, otherwise after the next unlock
+  await storage.restoreSession();
+  await StorageMigrations.run(storage);
+});
+
+// Alarms don't always survive a browser restart
+chrome.runtime.onStartup.addListener(() => {
+  chrome.alarms.create('autoLock', { periodInMinutes: 1 });
 });
 
 // Handle alarm
@@ -12,6 +27,31 @@ chrome.alarms.onAlarm.addListener((alarm) => {
   if (alarm.name === 'otpRefresh') {
     // Notify popup to refresh OTPs if open
     chrome.runtime.sendMessage({ type: 'REFRESH_OTPS' });
+  } else if (alarm.name === 'autoLock') {
+    checkAutoLock();
+  }
+});
+
+// Lock the vault once the user has been idle for the configured number of minutes
+async function checkAutoLock() {
+  if (!(await storage.hasSession())) return;
+
+  const { autoLockMinutes } = await storage.getLockSettings();
+  if (!autoLockMinutes) return;
+
+  const state = await chrome.idle.queryState(autoLockMinutes * 60);
+  if (state !== 'active') {
+    await storage.lock();
+  }
+}
+
+// Lock straight away when the screen is locked
+chrome.idle.onStateChanged.addListener(async (state) => {
+  if (state !== 'locked') return;
+
+  const { lockOnSystemLock } = await storage.getLockSettings();
+  if (lockOnSystemLock) {
+    await storage.lock();
   }
 });
 
@@ -0,0 +1,126 @@
+import { SyncEncryptionService } from './sync-encryption.js';
+import { SecretValidator, SecretValidationError } from './secret-validator.js';
+
+/**
+ * Password-protected backup files
+ * Self-describing JSON: format and version, the KDF parameters with a random salt,
+ * and the AES-256-GCM ciphertext of the accounts (IV + ciphertext + tag, Base64)
+ */
+export class BackupError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BackupError';
+  }
+}
+
+export class BackupService {
+  static FORMAT = 'omniotp-backup';
+  static VERSION = 1;
+  static ITERATIONS = 600000;
+  // Files are untrusted, a huge count would hang the popup in PBKDF2
+  static MAX_ITERATIONS = this.ITERATIONS * 10;
+  static SALT_LENGTH = 16;
+  static MIN_PASSWORD_LENGTH = 8;
+  // Ids end up in data-id attributes, only accept the characters generated ids use
+  static ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+  /**
+   * Encrypt accounts into a backup file's text
+   */
+  static async create(accounts, password) {
+    if (!password || password.length < this.MIN_PASSWORD_LENGTH) {
+      throw new BackupError(`The backup password must be at least ${this.MIN_PASSWORD_LENGTH} characters`);
+    }
+
+    const salt = crypto.getRandomValues(new Uint8Array(this.SALT_LENGTH));
+    const key = await SyncEncryptionService.deriveKeyFromPassword(password, salt, this.ITERATIONS);
+    const data = JSON.stringify({
+      accounts: accounts.map(a => SyncEncryptionService.normalizeAccount(a))
+    });
+
+    return JSON.stringify({
+      format: this.FORMAT,
+      version: this.VERSION,
+      createdAt: new Date().toISOString(),
+      kdf: {
+        name: 'PBKDF2',
+        hash: 'SHA-256',
+        iterations: this.ITERATIONS,
+        salt: SyncEncryptionService.bytesToBase64(salt)
+      },
+      cipher: 'AES-256-GCM',
+      data: await SyncEncryptionService.encryptWithKey(key, data)
+    }, null, 2);
+  }
+
+  /**
+   * Decrypt a backup file's text, returns the accounts it holds
+   */
+  static async restore(text, password) {
+    let backup;
+    try {
+      backup = JSON.parse(text);
+    } catch (e) {
+      throw new BackupError('This is not an OmniOTP backup file');
+    }
+
+    if (!backup || backup.format !== this.FORMAT) {
+      throw new BackupError('This is not an OmniOTP backup file');
+    }
+    if (backup.version > this.VERSION) {
+      throw new BackupError('This backup was made by a newer version of OmniOTP, update the extension first');
+    }
+    const kdf = backup.kdf || {};
+    if (kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' || backup.cipher !== 'AES-256-GCM' || typeof kdf.salt !== 'string' || !kdf.salt) {
+      throw new BackupError('Unsupported backup encryption settings');
+    }
+    if (!Number.isInteger(kdf.iterations) || kdf.iterations < 1 || kdf.iterations > this.MAX_ITERATIONS) {
+      throw new BackupError('The backup has an invalid iteration count');
+    }
+
+    let data;
+    try {
+      const salt = Uint8Array.from(atob(kdf.salt), c => c.charCodeAt(0));
+      const key = await SyncEncryptionService.deriveKeyFromPassword(password, salt, kdf.iterations);
+      data = JSON.parse(await SyncEncryptionService.decryptWithKey(key, backup.data));
+    } catch (e) {
+      throw new BackupError('Wrong password or damaged backup file');
+    }
+
+    if (!data || !Array.isArray(data.accounts)) {
+      throw new BackupError('The backup has no accounts');
+    }
+    return data.accounts.map((account, index) => this.validateAccount(account, index));
+  }
+
+  /**
+   * Check a decrypted entry before it goes into the vault
+   */
+  static validateAccount(account, index) {
+    if (!account || typeof account !== 'object' || Array.isArray(account)) {
+      throw new BackupError(`Account ${index + 1} in the backup is damaged`);
+    }
+    if (typeof account.id !== 'string' || !this.ID_PATTERN.test(account.id)) {
+      throw new BackupError(`Account ${index + 1} in the backup has an invalid id`);
+    }
+    if (account.type && typeof account.type !== 'string') {
+      throw new BackupError(`Account ${index + 1} in the backup has an invalid type`);
+    }
+
+    let secret;
+    try {
+      secret = SecretValidator.normalize(typeof account.secret === 'string' ? account.secret : '', 'base32').secret;
+    } catch (e) {
+      if (!(e instanceof SecretValidationError)) throw e;
+      throw new BackupError(`Account ${index + 1} in the backup has an invalid secret: ${e.message}`);
+    }
+    return SyncEncryptionService.normalizeAccount({ ...account, secret });
+  }
+
+  /**
+   * File name for a backup made today
+   */
+  static fileName(date = new Date()) {
+    return `omniotp-backup-${date.toISOString().slice(0, 10)}.json`;
+  }
+}
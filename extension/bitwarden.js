@@ -0,0 +1,72 @@
+import { ImportError, ImporterRegistry } from './importers.js';
+import { OtpAuthUri, OtpAuthError } from './otpauth.js';
+
+/**
+ * Bitwarden JSON export import
+ * login.totp holds an otpauth:// URI, a steam:// secret or a bare Base32 secret;
+ * items without a TOTP field are ordinary passwords and are ignored
+ */
+export class BitwardenImporter {
+  static NAME = 'Bitwarden';
+
+  static detect({ json }) {
+    return !!json && typeof json === 'object' && !Array.isArray(json) && Array.isArray(json.items);
+  }
+
+  // Password-protected exports are refused in import(), Bitwarden's own key is needed for them
+  static isEncrypted() {
+    return false;
+  }
+
+  static async import({ json }) {
+    if (json.encrypted) {
+      throw new ImportError('Encrypted Bitwarden exports are not supported, export as unencrypted JSON (.json)');
+    }
+
+    const folders = Array.isArray(json.folders) ? json.folders.filter(folder => folder && typeof folder === 'object') : [];
+    const folderNames = new Map(folders.map(folder => [folder.id, folder.name]));
+    const items = json.items.filter(item => item?.login?.totp);
+    return ImporterRegistry.collect(items, item => this.toAccount(item, folderNames));
+  }
+
+  static toAccount(item, folderNames) {
+    // Export files are untrusted, anything that isn't a string counts as missing
+    const text = value => (typeof value === 'string' ? value.trim() : '');
+    const itemName = text(item.name);
+    const username = text(item.login.username);
+    if (typeof item.login.totp !== 'string') {
+      return { name: itemName, reason: 'The TOTP field is not valid' };
+    }
+    const totp = item.login.totp.trim();
+
+    let fields;
+    if (/^otpauth:\/\//i.test(totp)) {
+      let parsed;
+      try {
+        parsed = OtpAuthUri.parse(totp);
+      } catch (e) {
+        if (!(e instanceof OtpAuthError)) throw e;
+        return { name: itemName, reason: e.message };
+      }
+      fields = {
+        ...parsed,
+        issuer: parsed.issuer || itemName,
+        accountName: parsed.accountName || username,
+        type: parsed.encoder === 'steam' ? 'steam' : parsed.type
+      };
+    } else if (/^steam:\/\//i.test(totp)) {
+      fields = { issuer: itemName || 'Steam', accountName: username, secret: totp.substring(8), type: 'steam' };
+    } else {
+      fields = { issuer: itemName, accountName: username, secret: totp };
+    }
+
+    const account = ImporterRegistry.toAccount(fields);
+    if (account.reason) return account;
+
+    const folder = folderNames.get(item.folderId);
+    if (typeof folder === 'string' && folder) {
+      account.groups = [folder];
+    }
+    return account;
+  }
+}
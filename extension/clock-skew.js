@@ -0,0 +1,94 @@
+/**
+ * Clock Skew Estimator
+ * Compares the local clock with the Date header of responses from Google's APIs
+ * and keeps a running estimate of how far the local clock is off
+ */
+export class ClockSkewEstimator {
+  static MAX_SAMPLES = 5;
+  // Samples with a slower round trip than this say little about the server time
+  static MAX_ROUND_TRIP_MS = 10000;
+  // Offsets beyond this are shown as a warning in settings
+  static WARNING_THRESHOLD_MS = 5000;
+  // The local clock may have been corrected since, older estimates are dropped on load
+  static MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+  constructor(storage) {
+    this.storage = storage;
+    this.samples = [];
+    this.offsetMs = 0;
+    this.measuredAt = null;
+    this.listeners = [];
+  }
+
+  /**
+   * Load the last stored offset from settings, unless it is older than MAX_AGE_MS
+   */
+  async load() {
+    const settings = await this.storage.getSettings();
+    const measuredAt = Number(settings.clockOffsetMeasuredAt) || null;
+    if (measuredAt && Math.abs(Date.now() - measuredAt) <= ClockSkewEstimator.MAX_AGE_MS) {
+      this.offsetMs = Number(settings.clockOffsetMs) || 0;
+      this.measuredAt = measuredAt;
+    } else {
+      this.offsetMs = 0;
+      this.measuredAt = null;
+    }
+    return this.offsetMs;
+  }
+
+  /**
+   * Record a response, given the local time before the request and after the response
+   */
+  async observe(response, requestStart, requestEnd) {
+    const dateHeader = response.headers?.get('Date');
+    if (!dateHeader) return;
+
+    const serverTime = Date.parse(dateHeader);
+    const roundTrip = requestEnd - requestStart;
+    if (isNaN(serverTime) || roundTrip < 0 || roundTrip > ClockSkewEstimator.MAX_ROUND_TRIP_MS) {
+      return;
+    }
+
+    // The header is truncated to whole seconds, so aim for the middle of that second
+    const sample = serverTime + 500 - (requestStart + roundTrip / 2);
+    this.samples.push(sample);
+    if (this.samples.length > ClockSkewEstimator.MAX_SAMPLES) {
+      this.samples.shift();
+    }
+
+    this.offsetMs = Math.round(this.median(this.samples));
+    this.measuredAt = Date.now();
+    await this.save();
+    this.listeners.forEach(listener => listener(this.offsetMs));
+  }
+
+  /**
+   * Persist the estimate without clobbering other settings
+   */
+  async save() {
+    await this.storage.updateSettings({
+      clockOffsetMs: this.offsetMs,
+      clockOffsetMeasuredAt: this.measuredAt
+    });
+  }
+
+  /**
+   * Call listener(offsetMs) whenever the estimate changes
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Check if the local clock is off by more than the warning threshold
+   */
+  isSkewed() {
+    return Math.abs(this.offsetMs) > ClockSkewEstimator.WARNING_THRESHOLD_MS;
+  }
+
+  median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+}
@@ -17,6 +17,28 @@ export class FirebaseService {
     
     this.currentUser = null;
     this.idToken = null;
+    this.clockSkew = null;
+  }
+
+  /**
+   * Feed server Date headers into a ClockSkewEstimator
+   */
+  setClockSkewEstimator(estimator) {
+    this.clockSkew = estimator;
+  }
+
+  /**
+   * fetch() wrapper that times each request for clock skew estimation
+   */
+  async request(url, options) {
+    const requestStart = Date.now();
+    const response = await fetch(url, options);
+    if (this.clockSkew) {
+      this.clockSkew.observe(response, requestStart, Date.now()).catch(e => {
+        console.warn('Clock skew estimation failed:', e);
+      });
+    }
+    return response;
   }
 
   /**
@@ -26,7 +48,7 @@ export class FirebaseService {
     const url = `https://identitytoolkit.googleapis.com/v1/accounts:signInWithPassword?key=${this.config.apiKey}`;
     
     try {
-      const response = await fetch(url, {
+      const response = await this.request(url, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -74,7 +96,7 @@ export class FirebaseService {
     const url = `https://identitytoolkit.googleapis.com/v1/accounts:signUp?key=${this.config.apiKey}`;
     
     try {
-      const response = await fetch(url, {
+      const response = await this.request(url, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -113,6 +135,18 @@ export class FirebaseService {
     }
   }
 
+  /**
+   * Confirm the signed-in user's password before a sensitive action
+   * Signs in again with the same email, throws if the password is wrong
+   */
+  async reauthenticate(password) {
+    if (!this.currentUser) {
+      throw new Error('Not signed in');
+    }
+    await this.signIn(this.currentUser.email, password);
+    return true;
+  }
+
   /**
    * Sign out and clear stored auth state
    */
@@ -162,7 +196,7 @@ export class FirebaseService {
     const url = `https://securetoken.googleapis.com/v1/token?key=${this.config.apiKey}`;
     
     try {
-      const response = await fetch(url, {
+      const response = await this.request(url, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/x-www-form-urlencoded'
@@ -214,7 +248,7 @@ export class FirebaseService {
     try {
       console.log('Syncing to Firestore path: vaults/' + this.currentUser.uid);
       
-      const response = await fetch(url, {
+      const response = await this.request(url, {
         method: 'PATCH',
         headers: {
           'Authorization': `Bearer ${this.idToken}`,
@@ -260,7 +294,7 @@ export class FirebaseService {
     try {
       console.log('Fetching from Firestore path: vaults/' + this.currentUser.uid);
       
-      const response = await fetch(url, {
+      const response = await this.request(url, {
         method: 'GET',
         headers: {
           'Authorization': `Bearer ${this.idToken}`
@@ -295,7 +329,7 @@ export class FirebaseService {
     const url = `https://identitytoolkit.googleapis.com/v1/accounts:sendOobCode?key=${this.config.apiKey}`;
     
     try {
-      const response = await fetch(url, {
+      const response = await this.request(url, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
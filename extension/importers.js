@@ -0,0 +1,151 @@
+import { SecretValidator, SecretValidationError } from './secret-validator.js';
+import { OtpAuthUri } from './otpauth.js';
+import { TotpService } from './totp.js';
+
+/**
+ * Importer registry - backups from other authenticator apps
+ * Importers register themselves with { NAME, detect, isEncrypted, import } and the
+ * registry picks the first one that recognises the file contents
+ */
+export class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+export class ImporterRegistry {
+  static importers = [];
+
+  /**
+   * Add an importer; detection tries importers in registration order
+   */
+  static register(importer) {
+    if (!this.importers.includes(importer)) {
+      this.importers.push(importer);
+    }
+  }
+
+  /**
+   * Read a File into the forms importers look at: { name, bytes, text, json }
+   * json is null when the file isn't JSON (e.g. an encrypted andOTP backup)
+   */
+  static async read(file) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const text = new TextDecoder().decode(bytes);
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch (e) {
+      // Binary or not JSON, left for importers that read bytes
+    }
+    return { name: file.name, bytes, text, json };
+  }
+
+  /**
+   * Find the importer for the contents, or null
+   */
+  static detect(contents) {
+    return this.importers.find(importer => importer.detect(contents)) || null;
+  }
+
+  /**
+   * Names of the registered formats, for messages
+   */
+  static names() {
+    return this.importers.map(importer => importer.NAME).join(', ');
+  }
+
+  /**
+   * Normalise an entry into the OmniOTP account shape
+   * fields: { issuer, accountName, secret, algorithm, digits, period, type, counter }
+   * type is totp, hotp or steam. Returns the account fields, or { name, reason }
+   * when the entry can't be used
+   */
+  static toAccount(fields) {
+    // Backup files are untrusted, anything that isn't a string counts as missing
+    const text = value => (typeof value === 'string' ? value.trim() : '');
+    const issuer = text(fields.issuer);
+    const accountName = text(fields.accountName);
+    const name = issuer && accountName ? `${issuer} (${accountName})` : issuer || accountName;
+    const type = (text(fields.type) || 'totp').toLowerCase();
+
+    if (!['totp', 'hotp', 'steam'].includes(type)) {
+      return { name, reason: `${fields.type} entries are not supported` };
+    }
+
+    const algorithm = (text(fields.algorithm) || 'SHA1').toUpperCase().replace('-', '');
+    if (!OtpAuthUri.ALGORITHMS.includes(algorithm)) {
+      return { name, reason: `Unsupported algorithm ${fields.algorithm}` };
+    }
+
+    let secret;
+    try {
+      secret = SecretValidator.normalize(text(fields.secret), 'base32').secret;
+    } catch (e) {
+      if (!(e instanceof SecretValidationError)) throw e;
+      return { name, reason: e.message };
+    }
+
+    const account = {
+      issuer,
+      accountName,
+      secret,
+      algorithm,
+      digits: type === 'steam' ? TotpService.STEAM_DIGITS : Number(fields.digits) || 6,
+      period: Number(fields.period) || 30,
+      type: type === 'hotp' ? 'hotp' : 'totp'
+    };
+
+    if (type !== 'steam' && (account.digits < OtpAuthUri.MIN_DIGITS || account.digits > OtpAuthUri.MAX_DIGITS)) {
+      return { name, reason: `${account.digits}-digit codes are not supported` };
+    }
+    if (account.period < OtpAuthUri.MIN_PERIOD || account.period > OtpAuthUri.MAX_PERIOD) {
+      return { name, reason: `A ${account.period}-second period is not supported` };
+    }
+
+    if (type === 'hotp') {
+      account.counter = Number(fields.counter) || 0;
+    }
+    if (type === 'steam') {
+      account.encoder = 'steam';
+    }
+    return account;
+  }
+
+  /**
+   * Map entries with toEntry(entry) -> account fields or { name, reason },
+   * splitting the results into { accounts, skipped }
+   */
+  static collect(entries, toEntry) {
+    const accounts = [];
+    const skipped = [];
+    for (const entry of entries) {
+      const result = toEntry(entry);
+      if (result.reason) {
+        skipped.push({ name: result.name || 'Unnamed entry', reason: result.reason });
+      } else {
+        accounts.push(result);
+      }
+    }
+    return { accounts, skipped };
+  }
+
+  static base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+  }
+
+  /**
+   * Derive an AES-GCM key with PBKDF2 (used by 2FAS and andOTP)
+   */
+  static async pbkdf2Key(password, salt, iterations, hash) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['decrypt']
+    );
+  }
+}
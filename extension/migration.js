@@ -0,0 +1,270 @@
+import { ProtobufReader, ProtobufWriter, ProtobufError } from './protobuf.js';
+import { SecretValidator, SecretValidationError } from './secret-validator.js';
+import { TotpService } from './totp.js';
+
+/**
+ * Google Authenticator "Transfer accounts" payloads (otpauth-migration://offline?data=...)
+ * The data parameter is a Base64 protobuf MigrationPayload; large exports are split
+ * over several QR codes that share a batch id
+ */
+export class MigrationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MigrationError';
+  }
+}
+
+export class MigrationPayload {
+  // Enum values from Google Authenticator's MigrationPayload schema
+  static ALGORITHMS = { 0: 'SHA1', 1: 'SHA1', 2: 'SHA256', 3: 'SHA512', 4: 'MD5' };
+  static DIGITS = { 0: 6, 1: 6, 2: 8 };
+  static TYPES = { 0: 'totp', 1: 'hotp', 2: 'totp' };
+  // Raw protobuf bytes per QR code; with Base64 and URL escaping this stays
+  // around QR version 20, which phone cameras read reliably
+  static MAX_BATCH_BYTES = 450;
+
+  /**
+   * Check if text looks like a migration URI
+   */
+  static isMigrationUri(text) {
+    return /^otpauth-migration:\/\//i.test((text || '').trim());
+  }
+
+  /**
+   * Decode a migration URI
+   * Returns { accounts, skipped, version, batchSize, batchIndex, batchId }
+   * accounts hold OmniOTP account fields (no id or timestamps yet),
+   * skipped lists entries that can't be used, as { name, reason }
+   */
+  static decode(uri) {
+    const match = (uri || '').trim().match(/^otpauth-migration:\/\/offline\?(.*)$/i);
+    if (!match) {
+      throw new MigrationError('Not an otpauth-migration:// URI');
+    }
+
+    const dataParam = match[1].split('&').find(pair => pair.toLowerCase().startsWith('data='));
+    if (!dataParam) {
+      throw new MigrationError('Missing data parameter');
+    }
+
+    let bytes;
+    try {
+      bytes = this.base64ToBytes(decodeURIComponent(dataParam.substring(5)));
+    } catch (e) {
+      throw new MigrationError('The data parameter is not valid Base64');
+    }
+
+    try {
+      return this.decodePayload(bytes);
+    } catch (e) {
+      if (e instanceof ProtobufError) {
+        throw new MigrationError(`Corrupt migration payload: ${e.message}`);
+      }
+      throw e;
+    }
+  }
+
+  /**
+   * Decode the MigrationPayload message
+   */
+  static decodePayload(bytes) {
+    const reader = new ProtobufReader(bytes);
+    const payload = { accounts: [], skipped: [], version: 0, batchSize: 1, batchIndex: 0, batchId: 0 };
+
+    while (reader.hasMore()) {
+      const { field, wireType } = reader.readKey();
+      if (field === 1 && wireType === ProtobufReader.WIRE_LENGTH_DELIMITED) {
+        const parameters = this.decodeOtpParameters(reader.readBytes());
+        const result = this.toAccount(parameters);
+        if (result.reason) {
+          payload.skipped.push({ name: result.name, reason: result.reason });
+        } else {
+          payload.accounts.push(result);
+        }
+      } else if (field >= 2 && field <= 5 && wireType === ProtobufReader.WIRE_VARINT) {
+        const key = { 2: 'version', 3: 'batchSize', 4: 'batchIndex', 5: 'batchId' }[field];
+        payload[key] = reader.readInt32();
+      } else {
+        reader.skip(wireType);
+      }
+    }
+
+    if (payload.batchSize < 1) payload.batchSize = 1;
+    return payload;
+  }
+
+  /**
+   * Decode one OtpParameters message
+   */
+  static decodeOtpParameters(bytes) {
+    const reader = new ProtobufReader(bytes);
+    const parameters = { secret: new Uint8Array(0), name: '', issuer: '', algorithm: 0, digits: 0, type: 0, counter: 0 };
+
+    while (reader.hasMore()) {
+      const { field, wireType } = reader.readKey();
+      if (wireType === ProtobufReader.WIRE_LENGTH_DELIMITED && field === 1) {
+        parameters.secret = reader.readBytes();
+      } else if (wireType === ProtobufReader.WIRE_LENGTH_DELIMITED && (field === 2 || field === 3)) {
+        parameters[field === 2 ? 'name' : 'issuer'] = reader.readString();
+      } else if (wireType === ProtobufReader.WIRE_VARINT && field >= 4 && field <= 7) {
+        parameters[{ 4: 'algorithm', 5: 'digits', 6: 'type', 7: 'counter' }[field]] = reader.readVarint();
+      } else {
+        reader.skip(wireType);
+      }
+    }
+    return parameters;
+  }
+
+  /**
+   * Map OtpParameters to account fields, or { name, reason } if it can't be imported
+   */
+  static toAccount(parameters) {
+    // Google Authenticator stores the full label, which usually starts with "Issuer:"
+    let accountName = parameters.name.trim();
+    let issuer = parameters.issuer.trim();
+    const colon = accountName.indexOf(':');
+    if (colon !== -1 && (!issuer || accountName.substring(0, colon).trim() === issuer)) {
+      issuer = issuer || accountName.substring(0, colon).trim();
+      accountName = accountName.substring(colon + 1).trim();
+    }
+
+    const name = issuer ? `${issuer} (${accountName})` : accountName;
+    const algorithm = this.ALGORITHMS[parameters.algorithm];
+    const digits = this.DIGITS[parameters.digits];
+    const type = this.TYPES[parameters.type];
+
+    if (!algorithm || algorithm === 'MD5') {
+      return { name, reason: 'Unsupported algorithm' };
+    }
+    if (!digits) {
+      return { name, reason: 'Unsupported number of digits' };
+    }
+    if (!type) {
+      return { name, reason: 'Unsupported OTP type' };
+    }
+    if (parameters.secret.length < SecretValidator.MIN_KEY_BYTES) {
+      return { name, reason: 'Secret is too short' };
+    }
+
+    const account = {
+      issuer,
+      accountName,
+      secret: SecretValidator.encodeBase32(parameters.secret),
+      algorithm,
+      digits,
+      period: 30,
+      type
+    };
+    if (type === 'hotp') {
+      account.counter = parameters.counter;
+    }
+    return account;
+  }
+
+  /**
+   * Encode accounts as one or more migration URIs, split to keep each QR code scannable
+   * Returns { uris, skipped } where skipped lists accounts the format can't hold, as { name, reason }
+   */
+  static encode(accounts) {
+    const entries = [];
+    const skipped = [];
+    for (const account of accounts) {
+      const result = this.encodeOtpParameters(account);
+      if (result.reason) {
+        skipped.push(result);
+      } else {
+        entries.push(result);
+      }
+    }
+
+    const batches = [];
+    let current = [];
+    let currentSize = 0;
+    for (const entry of entries) {
+      // Each entry also costs a key byte and a length prefix
+      const size = entry.length + 3;
+      if (current.length && currentSize + size > this.MAX_BATCH_BYTES) {
+        batches.push(current);
+        current = [];
+        currentSize = 0;
+      }
+      current.push(entry);
+      currentSize += size;
+    }
+    if (current.length) batches.push(current);
+
+    // Batches of one export share a random id so the importing app can pair them up
+    const batchId = crypto.getRandomValues(new Int32Array(1))[0];
+    const uris = batches.map((batch, batchIndex) => {
+      const writer = new ProtobufWriter();
+      batch.forEach(entry => writer.bytesField(1, entry));
+      writer.int32Field(2, 1);
+      writer.int32Field(3, batches.length);
+      writer.int32Field(4, batchIndex);
+      writer.int32Field(5, batchId);
+      return `otpauth-migration://offline?data=${encodeURIComponent(this.bytesToBase64(writer.finish()))}`;
+    });
+
+    return { uris, skipped };
+  }
+
+  /**
+   * Encode one account as an OtpParameters message, or { name, reason } if it can't be exported
+   */
+  static encodeOtpParameters(account) {
+    const name = account.issuer ? `${account.issuer} (${account.accountName})` : account.accountName;
+
+    if (TotpService.isOcra(account)) {
+      return { name, reason: 'OCRA accounts are not supported by Google Authenticator' };
+    }
+    if (TotpService.isSteam(account)) {
+      return { name, reason: 'Steam Guard codes are not supported by Google Authenticator' };
+    }
+    if (!TotpService.isHotp(account) && (account.period || 30) !== 30) {
+      return { name, reason: 'Only 30-second periods can be exported' };
+    }
+
+    const algorithm = Object.keys(this.ALGORITHMS)
+      .find(key => key !== '0' && this.ALGORITHMS[key] === (account.algorithm || 'SHA1').toUpperCase());
+    const digits = { 6: 1, 8: 2 }[account.digits || 6];
+    if (!algorithm || algorithm === '4') {
+      return { name, reason: 'Unsupported algorithm' };
+    }
+    if (!digits) {
+      return { name, reason: 'Only 6 or 8 digit codes can be exported' };
+    }
+
+    let secret;
+    try {
+      secret = SecretValidator.decodeBase32(account.secret);
+    } catch (e) {
+      if (e instanceof SecretValidationError) return { name, reason: 'Invalid secret' };
+      throw e;
+    }
+
+    const writer = new ProtobufWriter();
+    writer.bytesField(1, secret);
+    writer.stringField(2, account.issuer ? `${account.issuer}:${account.accountName}` : account.accountName);
+    writer.stringField(3, account.issuer);
+    writer.varintField(4, parseInt(algorithm));
+    writer.varintField(5, digits);
+    writer.varintField(6, TotpService.isHotp(account) ? 1 : 2);
+    if (TotpService.isHotp(account)) {
+      writer.varintField(7, Number(account.counter) || 0);
+    }
+    return writer.finish();
+  }
+
+  static bytesToBase64(bytes) {
+    return btoa(Array.from(bytes, b => String.fromCharCode(b)).join(''));
+  }
+
+  /**
+   * Decode standard or URL-safe Base64, padding optional
+   */
+  static base64ToBytes(base64) {
+    const normalized = base64.replace(/\s/g, '').replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(normalized.padEnd(Math.ceil(normalized.length / 4) * 4, '='));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+  }
+}
@@ -0,0 +1,207 @@
+import { TotpService } from './totp.js';
+
+/**
+ * OCRA Service - RFC 6287 challenge-response
+ * Computes responses for suites such as OCRA-1:HOTP-SHA1-6:QN08
+ * using the same HMAC primitives as TotpService
+ */
+export class OcraService {
+  // Time step sizes for the T data input (e.g. T1M, T30S, T1H)
+  static TIME_UNITS = { S: 1, M: 60, H: 3600 };
+
+  /**
+   * Parse an OCRA suite string
+   * Returns { suite, algorithm, digits, counter, question, password, session, timeStep }
+   */
+  static parseSuite(suite) {
+    const parts = String(suite || '').trim().toUpperCase().split(':');
+    if (parts.length !== 3 || parts[0] !== 'OCRA-1') {
+      throw new Error('OCRA suite must look like OCRA-1:HOTP-SHA1-6:QN08');
+    }
+
+    const cryptoFunction = parts[1].match(/^HOTP-(SHA1|SHA256|SHA512)-(\d{1,2})$/);
+    if (!cryptoFunction) {
+      throw new Error(`Unsupported OCRA crypto function: ${parts[1]}`);
+    }
+    const digits = parseInt(cryptoFunction[2]);
+    if (digits !== 0 && (digits < 4 || digits > 10)) {
+      throw new Error('OCRA response length must be 0 or 4-10 digits');
+    }
+
+    const parsed = {
+      suite: parts.join(':'),
+      algorithm: cryptoFunction[1],
+      digits,
+      counter: false,
+      question: null,
+      password: null,
+      session: 0,
+      timeStep: 0
+    };
+
+    for (const input of parts[2].split('-')) {
+      let match;
+      if (input === 'C') {
+        parsed.counter = true;
+      } else if ((match = input.match(/^Q([ANH])(\d{2})$/))) {
+        const length = parseInt(match[2]);
+        if (length < 4 || length > 64) {
+          throw new Error('OCRA challenge length must be between 04 and 64');
+        }
+        parsed.question = { format: match[1], length };
+      } else if ((match = input.match(/^P(SHA1|SHA256|SHA512)$/))) {
+        parsed.password = match[1];
+      } else if ((match = input.match(/^S(\d{3})$/))) {
+        parsed.session = parseInt(match[1]);
+      } else if ((match = input.match(/^T(\d+)([SMH])$/))) {
+        parsed.timeStep = parseInt(match[1]) * OcraService.TIME_UNITS[match[2]];
+      } else {
+        throw new Error(`Unsupported OCRA data input: ${input}`);
+      }
+    }
+
+    if (!parsed.question) {
+      throw new Error('OCRA suite must include a challenge (Q) data input');
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Check a suite string without throwing
+   */
+  static isValidSuite(suite) {
+    try {
+      this.parseSuite(suite);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Compute the response for an OCRA account
+   * inputs: { challenge, counter, password, session, at }
+   */
+  static generateResponse(account, { challenge, counter, password, session, at = TotpService.now() } = {}) {
+    if (!account.secret) {
+      throw new Error('Secret is required');
+    }
+
+    const suite = this.parseSuite(account.ocraSuite);
+    const key = TotpService.base32Decode(account.secret);
+    const message = this.buildMessage(suite, {
+      challenge,
+      counter: counter ?? account.counter ?? 0,
+      password,
+      session,
+      at
+    });
+
+    const hmac = TotpService.hmacSync(suite.algorithm, key, message);
+    if (suite.digits === 0) {
+      return this.toHex(hmac);
+    }
+    return TotpService.dynamicTruncate(hmac, suite.digits).padStart(suite.digits, '0');
+  }
+
+  /**
+   * Assemble the OCRA data input (RFC 6287 section 5.1)
+   * suite || 0x00 || C || Q || P || S || T
+   */
+  static buildMessage(suite, { challenge, counter, password, session, at }) {
+    const parts = [new TextEncoder().encode(suite.suite), new Uint8Array([0])];
+
+    if (suite.counter) {
+      parts.push(this.hexToBytes(this.padLeft(BigInt(counter).toString(16), 16)));
+    }
+
+    parts.push(this.encodeChallenge(suite.question, challenge));
+
+    if (suite.password) {
+      if (!password) {
+        throw new Error('This suite requires a PIN');
+      }
+      const pin = new TextEncoder().encode(password);
+      const hash = { SHA1: 'sha1Sync', SHA256: 'sha256Sync', SHA512: 'sha512Sync' }[suite.password];
+      parts.push(TotpService[hash](pin));
+    }
+
+    if (suite.session) {
+      const sessionHex = (session || '').replace(/\s/g, '');
+      if (!/^[0-9a-f]*$/i.test(sessionHex) || sessionHex.length > suite.session * 2) {
+        throw new Error(`Session information must be at most ${suite.session} bytes of hex`);
+      }
+      parts.push(this.hexToBytes(this.padLeft(sessionHex, suite.session * 2)));
+    }
+
+    if (suite.timeStep) {
+      const steps = Math.floor(at / 1000 / suite.timeStep);
+      parts.push(TotpService.counterToBytes(steps));
+    }
+
+    const length = parts.reduce((sum, part) => sum + part.length, 0);
+    const message = new Uint8Array(length);
+    let offset = 0;
+    for (const part of parts) {
+      message.set(part, offset);
+      offset += part.length;
+    }
+    return message;
+  }
+
+  /**
+   * Encode the challenge as 128 bytes, left-aligned and zero padded
+   */
+  static encodeChallenge(question, challenge) {
+    const value = String(challenge || '').trim();
+    if (!value) {
+      throw new Error('Challenge is required');
+    }
+
+    let hex;
+    switch (question.format) {
+      case 'N':
+        if (!/^\d+$/.test(value)) {
+          throw new Error('Challenge must be numeric');
+        }
+        hex = BigInt(value).toString(16);
+        break;
+      case 'H':
+        if (!/^[0-9a-f]+$/i.test(value)) {
+          throw new Error('Challenge must be hexadecimal');
+        }
+        hex = value;
+        break;
+      default:
+        hex = this.toHex(new TextEncoder().encode(value));
+        break;
+    }
+
+    // Mutual-challenge suites concatenate client and server challenges, so only
+    // the 128-byte field limits the length, not the suite's nominal QFxx size
+    if (hex.length > 256) {
+      throw new Error('Challenge is too long');
+    }
+    return this.hexToBytes(hex.padEnd(256, '0'));
+  }
+
+  static padLeft(hex, length) {
+    if (hex.length > length) {
+      throw new Error('OCRA input is too long');
+    }
+    return hex.padStart(length, '0');
+  }
+
+  static hexToBytes(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+  }
+
+  static toHex(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+  }
+}
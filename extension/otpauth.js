@@ -0,0 +1,238 @@
+import { SecretValidator, SecretValidationError } from './secret-validator.js';
+import { TotpService } from './totp.js';
+
+/**
+ * otpauth:// URI parsing and generation
+ * Follows the Key Uri Format and mirrors the mobile app's QrParserService
+ * (issuer prefix wins over issuer=, digits 6-8, period 15-60 seconds)
+ */
+export class OtpAuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OtpAuthError';
+  }
+}
+
+export class OtpAuthUri {
+  static TYPES = ['totp', 'hotp'];
+  static ALGORITHMS = ['SHA1', 'SHA256', 'SHA512'];
+  static MIN_DIGITS = 6;
+  static MAX_DIGITS = 8;
+  static MIN_PERIOD = 15;
+  static MAX_PERIOD = 60;
+
+  /**
+   * Parse an otpauth:// URI into account fields
+   * Returns { type, issuer, accountName, secret, algorithm, digits, period, counter?, encoder? }
+   * Throws OtpAuthError explaining what is wrong
+   */
+  static parse(uri) {
+    const value = (uri || '').trim();
+    const match = value.match(/^otpauth:\/\/([^/?#]+)\/([^?#]*)(?:\?([^#]*))?/i);
+    if (!match) {
+      throw new OtpAuthError('Not an otpauth:// URI');
+    }
+
+    const type = match[1].toLowerCase();
+    if (!this.TYPES.includes(type)) {
+      throw new OtpAuthError(`Unsupported OTP type '${match[1]}', expected totp or hotp`);
+    }
+
+    const params = this.parseQuery(match[3] || '');
+    const { issuer, accountName } = this.parseLabel(match[2], params.issuer);
+
+    if (!params.secret) {
+      throw new OtpAuthError('Missing required secret parameter');
+    }
+
+    let secret;
+    try {
+      secret = SecretValidator.normalize(params.secret, 'base32').secret;
+    } catch (e) {
+      if (e instanceof SecretValidationError) throw new OtpAuthError(e.message);
+      throw e;
+    }
+
+    // Steam is guessed from the issuer only when nothing says otherwise, an explicit
+    // digits= or an HOTP type means an ordinary account that happens to be named Steam
+    const isSteam = (params.encoder || '').toLowerCase() === 'steam' ||
+      (type === 'totp' && !params.digits && this.isSteamIssuer(issuer));
+
+    const algorithm = (params.algorithm || 'SHA1').toUpperCase().replace('-', '');
+    if (!this.ALGORITHMS.includes(algorithm)) {
+      throw new OtpAuthError(`Unsupported algorithm '${params.algorithm}'`);
+    }
+
+    const digits = isSteam ? TotpService.STEAM_DIGITS : this.parseInteger(params.digits, 6, 'Digits');
+    if (!isSteam && (digits < this.MIN_DIGITS || digits > this.MAX_DIGITS)) {
+      throw new OtpAuthError(`Digits must be between ${this.MIN_DIGITS} and ${this.MAX_DIGITS}`);
+    }
+
+    const period = this.parseInteger(params.period, 30, 'Period');
+    if (period < this.MIN_PERIOD || period > this.MAX_PERIOD) {
+      throw new OtpAuthError(`Period must be between ${this.MIN_PERIOD} and ${this.MAX_PERIOD} seconds`);
+    }
+
+    const parsed = { type, issuer, accountName, secret, algorithm, digits, period };
+
+    if (type === 'hotp') {
+      parsed.counter = this.parseInteger(params.counter, 0, 'Counter');
+    }
+
+    if (isSteam) {
+      parsed.encoder = 'steam';
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Parse without throwing, returns null for anything invalid (like QrParserService.parse)
+   */
+  static tryParse(uri) {
+    try {
+      return this.parse(uri);
+    } catch (e) {
+      if (e instanceof OtpAuthError) return null;
+      throw e;
+    }
+  }
+
+  /**
+   * Parse a block of text with one URI per line (blank lines and # comments ignored)
+   * Returns [{ line, text, parsed }] or [{ line, text, error }] for each non-empty line
+   */
+  static parseLines(text) {
+    const results = [];
+    (text || '').split(/\r?\n/).forEach((raw, index) => {
+      const value = raw.trim();
+      if (!value || value.startsWith('#')) return;
+      try {
+        results.push({ line: index + 1, text: value, parsed: this.parse(value) });
+      } catch (e) {
+        if (!(e instanceof OtpAuthError)) throw e;
+        results.push({ line: index + 1, text: value, error: e.message });
+      }
+    });
+    return results;
+  }
+
+  /**
+   * Check if a string is a valid otpauth:// URI
+   */
+  static isValid(uri) {
+    return this.tryParse(uri) !== null;
+  }
+
+  /**
+   * Generate an otpauth:// URI for an account
+   * Default parameters are left out, the same way QrParserService.generateUri does,
+   * unless includeDefaults is set (some authenticator apps guess wrong without them)
+   */
+  static generate(account, { includeDefaults = false } = {}) {
+    const type = TotpService.isHotp(account) ? 'hotp' : 'totp';
+    const issuer = account.issuer || '';
+    const accountName = account.accountName || '';
+
+    // Encode issuer and account separately so a ':' inside either survives the round trip.
+    // Without an issuer, an account name containing ':' gets an empty prefix, otherwise
+    // parse() would split it into issuer and account
+    const label = issuer || accountName.includes(':')
+      ? `${this.encode(issuer)}:${this.encode(accountName)}`
+      : this.encode(accountName);
+
+    let uri = `otpauth://${type}/${label}?secret=${account.secret}`;
+    if (issuer) {
+      uri += `&issuer=${this.encode(issuer)}`;
+    }
+
+    const algorithm = (account.algorithm || 'SHA1').toUpperCase().replace('-', '');
+    if (includeDefaults || algorithm !== 'SHA1') {
+      uri += `&algorithm=${algorithm}`;
+    }
+
+    // Ordinary accounts named Steam need digits=, or parse() would read them back as Steam
+    if (TotpService.isSteam(account)) {
+      uri += '&encoder=steam';
+    } else if (includeDefaults || (account.digits || 6) !== 6 || this.isSteamIssuer(issuer)) {
+      uri += `&digits=${account.digits || 6}`;
+    }
+
+    if (type === 'hotp') {
+      uri += `&counter=${Number(account.counter) || 0}`;
+    } else if (includeDefaults || (account.period || 30) !== 30) {
+      uri += `&period=${account.period || 30}`;
+    }
+
+    return uri;
+  }
+
+  static isSteamIssuer(issuer) {
+    return issuer.trim().toLowerCase() === 'steam';
+  }
+
+  /**
+   * Split the label into issuer and account name
+   * A literal ':' separates issuer and account; otherwise the decoded label is split
+   * on its first ':' (as the mobile app does). The prefix wins over issuer=.
+   * Around a literal ':' only literal whitespace is trimmed, percent-encoded spaces are
+   * part of the name, so names generate() wrote come back exactly
+   */
+  static parseLabel(rawLabel, issuerParam) {
+    let prefix = null;
+    let accountName;
+
+    const label = rawLabel.trim();
+    const literalColon = label.indexOf(':');
+    if (literalColon !== -1) {
+      prefix = this.decode(label.substring(0, literalColon).trim());
+      accountName = this.decode(label.substring(literalColon + 1).trim());
+    } else {
+      const decoded = this.decode(label);
+      const colon = decoded.indexOf(':');
+      if (colon !== -1) {
+        prefix = decoded.substring(0, colon).trim();
+        accountName = decoded.substring(colon + 1).trim();
+      } else {
+        accountName = decoded;
+      }
+    }
+
+    const issuer = prefix ? prefix : (issuerParam || '').trim();
+    return { issuer, accountName };
+  }
+
+  /**
+   * Parse a query string into lower-cased keys and decoded values
+   */
+  static parseQuery(query) {
+    const params = {};
+    for (const pair of query.split('&')) {
+      const eq = pair.indexOf('=');
+      if (eq === -1) continue;
+      const key = this.decode(pair.substring(0, eq).replace(/\+/g, ' ')).toLowerCase();
+      params[key] = this.decode(pair.substring(eq + 1).replace(/\+/g, ' '));
+    }
+    return params;
+  }
+
+  static parseInteger(value, fallback, name) {
+    if (value === undefined || value === '') return fallback;
+    if (!/^\d+$/.test(value.trim())) {
+      throw new OtpAuthError(`${name} must be a whole number`);
+    }
+    return parseInt(value, 10);
+  }
+
+  static decode(value) {
+    try {
+      return decodeURIComponent(value);
+    } catch (e) {
+      throw new OtpAuthError('Invalid percent-encoding in URI');
+    }
+  }
+
+  static encode(value) {
+    return encodeURIComponent(value);
+  }
+}
@@ -0,0 +1,112 @@
+import { OtpAuthUri } from './otpauth.js';
+import { TotpService } from './totp.js';
+import { OcraService } from './ocra.js';
+import { SecretValidator, SecretValidationError } from './secret-validator.js';
+import { ImportError, ImporterRegistry } from './importers.js';
+
+/**
+ * Unencrypted exports for audits and other tools
+ * A list of otpauth:// URIs (one per line) and a JSON file of the full account objects;
+ * both can be read back, the URI list through bulk add and the JSON through the importer
+ */
+export class PlainExport {
+  static FORMAT = 'omniotp-export';
+  static VERSION = 1;
+
+  /**
+   * One otpauth:// URI per line; OCRA accounts have no URI form and are listed
+   * as comments, which bulk add ignores
+   */
+  static toUriList(accounts) {
+    const lines = accounts.map(account => TotpService.isOcra(account)
+      ? `# Not exportable as otpauth:// (OCRA ${account.ocraSuite}): ${account.issuer} ${account.accountName}`
+      : OtpAuthUri.generate(account));
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Every account field, as stored
+   */
+  static toJson(accounts) {
+    return JSON.stringify({
+      format: this.FORMAT,
+      version: this.VERSION,
+      exportedAt: new Date().toISOString(),
+      accounts
+    }, null, 2);
+  }
+
+  static fileName(extension, date = new Date()) {
+    return `omniotp-export-${date.toISOString().slice(0, 10)}.${extension}`;
+  }
+}
+
+/**
+ * Reads PlainExport JSON files back through the importer registry
+ */
+export class PlainExportImporter {
+  static NAME = 'OmniOTP export';
+
+  static detect({ json }) {
+    return !!json && json.format === PlainExport.FORMAT && Array.isArray(json.accounts);
+  }
+
+  static isEncrypted() {
+    return false;
+  }
+
+  static async import({ json }) {
+    if (json.version > PlainExport.VERSION) {
+      throw new ImportError('This export was made by a newer version of OmniOTP, update the extension first');
+    }
+
+    return ImporterRegistry.collect(json.accounts, entry => this.toAccount(entry));
+  }
+
+  /**
+   * Validate an exported account, keeping its other fields (groups, note, icon...)
+   * Returns the account fields, or { name, reason } when the entry can't be used
+   */
+  static toAccount(entry) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      return { reason: 'Not an account' };
+    }
+
+    // Ids and timestamps are assigned again on import
+    const { id, createdAt, updatedAt, ...fields } = entry;
+    const issuer = typeof fields.issuer === 'string' ? fields.issuer : '';
+    const accountName = typeof fields.accountName === 'string' ? fields.accountName : '';
+
+    if (typeof fields.type === 'string' && fields.type.toLowerCase() === 'ocra') {
+      return this.toOcraAccount(fields, issuer, accountName);
+    }
+
+    const account = ImporterRegistry.toAccount({
+      ...fields,
+      type: fields.encoder === 'steam' ? 'steam' : fields.type
+    });
+    if (account.reason) return account;
+
+    // The registry trims names, an export should come back exactly as it was
+    return { ...fields, ...account, issuer, accountName };
+  }
+
+  static toOcraAccount(fields, issuer, accountName) {
+    const name = issuer || accountName;
+    let ocraSuite;
+    try {
+      ocraSuite = OcraService.parseSuite(fields.ocraSuite).suite;
+    } catch (e) {
+      return { name, reason: e.message };
+    }
+
+    let secret;
+    try {
+      secret = SecretValidator.normalize(typeof fields.secret === 'string' ? fields.secret : '', 'base32').secret;
+    } catch (e) {
+      if (!(e instanceof SecretValidationError)) throw e;
+      return { name, reason: e.message };
+    }
+    return { ...fields, issuer, accountName, type: 'ocra', ocraSuite, secret, counter: Number(fields.counter) || 0 };
+  }
+}
@@ -1,29 +1,106 @@
 import { TotpService } from './totp.js';
-import { StorageService } from './storage.js';
+import { StorageService, VaultError } from './storage.js';
+import { StorageMigrations } from './storage-migrations.js';
 import { FirebaseService } from './firebase.js';
 import { SyncEncryptionService } from './sync-encryption.js';
+import { SecretValidator, SecretValidationError } from './secret-validator.js';
+import { ClockSkewEstimator } from './clock-skew.js';
+import { OcraService } from './ocra.js';
+import { OtpAuthUri, OtpAuthError } from './otpauth.js';
+import { QrDecoder, QrDecodeError } from './qr-decoder.js';
+import { MigrationPayload, MigrationError } from './migration.js';
+import { ImporterRegistry, ImportError } from './importers.js';
+import { AegisImporter } from './aegis.js';
+import { TwoFasImporter } from './twofas.js';
+import { AndOtpImporter } from './andotp.js';
+import { BitwardenImporter } from './bitwarden.js';
+import { BackupService, BackupError } from './backup.js';
+import { PlainExport, PlainExportImporter } from './plain-export.js';
+import qrcode from './lib/qrcode.mjs';
+
+// Backup formats offered on the import screen, detected in this order
+ImporterRegistry.register(AegisImporter);
+ImporterRegistry.register(TwoFasImporter);
+ImporterRegistry.register(BitwardenImporter);
+ImporterRegistry.register(AndOtpImporter);
+ImporterRegistry.register(PlainExportImporter);
 
 class PopupApp {
+  // Seconds before expiry at which the next code is shown alongside the current one
+  static PREVIEW_SECONDS = 10;
+  // Imported icons are only shown as inline images, never as remote URLs
+  static ICON_PATTERN = /^data:image\/(png|jpeg|svg\+xml);base64,[A-Za-z0-9+/]+=*$/;
+  // Inputs of an OCRA challenge form, kept across re-renders
+  static OCRA_FIELDS = ['.ocra-challenge', '.ocra-pin', '.ocra-session'];
+
   constructor() {
     this.storage = new StorageService();
     this.firebase = new FirebaseService();
     this.syncEncryption = new SyncEncryptionService();
-    this.currentScreen = 'auth';
+    this.clockSkew = new ClockSkewEstimator(this.storage);
+    this.firebase.setClockSkewEstimator(this.clockSkew);
+    this.currentScreen = 'lock';
     this.accounts = [];
-    this.timerInterval = null;
-    this.userPassword = null; // Temporarily stored for key derivation
+    this.timerTimeout = null;
+    this.renderedCounters = new Map(); // account id -> counter of the code on screen
+    this.previewCounters = new Map(); // account id -> counter of the upcoming code shown
+    this.migrationBatches = null; // { batchId, batchSize, imported: Set of batch indexes }
+    this.exportUris = []; // otpauth-migration:// URIs shown on the export screen
+    this.exportPage = 0;
+    this.importFile = null; // { importer, contents } of a backup waiting for its password
+    this.importReturnScreen = 'add-account';
+    this.backupFile = null; // backup chosen for restore
+    this.bulkRows = []; // parsed lines on the bulk add review table
+    this.importCandidates = []; // { account, duplicate } rows of the import preview
+    this.pendingSync = null; // { retry, returnScreen } waiting on the sync password
     
     this.init();
   }
 
   async init() {
+    // Pick the HMAC backend before any codes are rendered
+    await TotpService.verifyBackends();
+
+    // Correct for local clock skew measured on earlier server responses
+    TotpService.setClockOffset(await this.clockSkew.load());
+    this.clockSkew.onChange(offsetMs => {
+      TotpService.setClockOffset(offsetMs);
+      if (this.currentScreen === 'main') this.renderAccounts();
+      if (this.currentScreen === 'settings') this.updateClockStatus();
+    });
+
+    this.setupEventListeners();
+    this.startTimer();
+
+    // Another view or the service worker's auto-lock closed the vault
+    this.storage.onLock(() => this.showLocked());
+    // Accounts changed in another view or by the service worker, never by this view's own writes
+    this.storage.onAccountsChange(() => this.loadAccounts());
+
+    // Nothing is read from storage.js until the vault has been unlocked,
+    // an unlock earlier in this browser session is still valid
+    if (await this.storage.restoreSession()) {
+      await this.openVault();
+    } else {
+      this.showLockScreen(await this.storage.hasVault());
+    }
+  }
+
+  /**
+   * Continue start-up once the vault is open
+   */
+  async openVault() {
+    // Finish any migration that was waiting for the vault key
+    await StorageMigrations.run(this.storage);
+
     // Restore Firebase auth state
     const firebaseUser = await this.firebase.restoreAuthState();
     
     // Check if user is authenticated or has local data
     if (firebaseUser) {
       await this.storage.setCurrentUser(firebaseUser);
-      // Note: Can't derive key without password - user needs to re-enter on sync
+      // The sync key survives popup reopens until the browser restarts
+      await this.syncEncryption.restoreKey(firebaseUser.email);
       await this.loadAccounts();
       this.showScreen('main');
     } else if (await this.storage.hasLocalData()) {
@@ -32,12 +109,92 @@ class PopupApp {
     } else {
       this.showScreen('auth');
     }
+  }
 
-    this.setupEventListeners();
-    this.startTimer();
+  /**
+   * Ask for the PIN, or for a new one when the vault hasn't been created yet
+   */
+  showLockScreen(hasVault) {
+    const form = document.getElementById('lock-form');
+    form.dataset.mode = hasVault ? 'unlock' : 'setup';
+    document.getElementById('lock-title').textContent = hasVault ? 'Unlock OmniOTP' : 'Set a PIN';
+    document.getElementById('lock-subtitle').textContent = hasVault
+      ? 'Enter your PIN to open your accounts'
+      : 'Your accounts are encrypted on this device with a PIN or passphrase of your choice';
+    document.getElementById('lock-submit-btn').textContent = hasVault ? 'Unlock' : 'Set PIN';
+    document.getElementById('lock-confirm-group').classList.toggle('hidden', hasVault);
+    document.getElementById('lock-pin-confirm').required = !hasVault;
+    document.getElementById('reset-vault-btn').classList.toggle('hidden', !hasVault);
+    this.showLockError('');
+    form.reset();
+    this.showScreen('lock');
+    document.getElementById('lock-pin').focus();
+  }
+
+  showLockError(message) {
+    const error = document.getElementById('lock-error');
+    error.textContent = message;
+    error.classList.toggle('hidden', !message);
+  }
+
+  async handleUnlock(e) {
+    e.preventDefault();
+    const isSetup = document.getElementById('lock-form').dataset.mode === 'setup';
+    const pin = document.getElementById('lock-pin').value;
+    const submitBtn = document.getElementById('lock-submit-btn');
+
+    if (isSetup && pin !== document.getElementById('lock-pin-confirm').value) {
+      this.showLockError('The PINs do not match');
+      return;
+    }
+
+    try {
+      submitBtn.disabled = true;
+      this.showLockError('');
+      if (isSetup) {
+        await this.storage.createVault(pin);
+      } else {
+        await this.storage.unlock(pin);
+      }
+    } catch (error) {
+      this.showLockError(error instanceof VaultError ? error.message : 'Could not open the vault');
+      return;
+    } finally {
+      submitBtn.disabled = false;
+      document.getElementById('lock-form').reset();
+    }
+
+    await this.openVault();
+  }
+
+  async lockNow() {
+    await this.storage.lock();
+    await this.showLocked();
+  }
+
+  // Drop the decrypted accounts along with the key
+  async showLocked() {
+    this.accounts = [];
+    TotpService.clearKeyCache();
+    await this.syncEncryption.clearKey();
+    this.renderAccounts();
+    this.showLockScreen(true);
+  }
+
+  async handleResetVault() {
+    if (!confirm('Erase every account on this device and set a new PIN? Accounts synced to the cloud can be downloaded again after signing in.')) return;
+    if (!confirm('This cannot be undone. Erase all local accounts?')) return;
+
+    await this.storage.resetVault();
+    this.showLockScreen(false);
   }
 
   setupEventListeners() {
+    // Vault PIN
+    document.getElementById('lock-form').addEventListener('submit', (e) => this.handleUnlock(e));
+    document.getElementById('reset-vault-btn').addEventListener('click', () => this.handleResetVault());
+    document.getElementById('lock-btn').addEventListener('click', () => this.lockNow());
+
     // Auth - handle both sign in and sign up
     document.getElementById('auth-form').addEventListener('submit', (e) => this.handleAuth(e));
     document.getElementById('skip-auth-btn').addEventListener('click', () => this.skipAuth());
@@ -51,6 +208,102 @@ class PopupApp {
     // Add account
     document.getElementById('back-btn').addEventListener('click', () => this.showScreen('main'));
     document.getElementById('add-account-form').addEventListener('submit', (e) => this.handleAddAccount(e));
+    document.getElementById('type').addEventListener('change', () => this.updateCounterField());
+    document.getElementById('secret').addEventListener('input', () => {
+      this.clearFormErrors();
+      this.prefillFromUri();
+    });
+
+    // QR code images - file picker, drag and drop, or pasted screenshot
+    const dropZone = document.getElementById('qr-drop-zone');
+    const fileInput = document.getElementById('qr-file-input');
+    document.getElementById('qr-file-btn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files[0]) this.importQrImage(fileInput.files[0]);
+      fileInput.value = '';
+    });
+    dropZone.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      dropZone.classList.add('dragging');
+    });
+    dropZone.addEventListener('dragleave', () => dropZone.classList.remove('dragging'));
+    dropZone.addEventListener('drop', (e) => {
+      e.preventDefault();
+      dropZone.classList.remove('dragging');
+      if (e.dataTransfer.files[0]) this.importQrImage(e.dataTransfer.files[0]);
+    });
+    document.addEventListener('paste', (e) => this.handlePaste(e));
+    document.getElementById('scan-page-btn').addEventListener('click', () => this.scanActiveTab());
+    document.getElementById('show-qr-back-btn').addEventListener('click', () => this.showScreen('main'));
+
+    // Backup import
+    const importInput = document.getElementById('import-file-input');
+    document.getElementById('open-import-btn').addEventListener('click', () => this.openImport('add-account'));
+    document.getElementById('settings-import-btn').addEventListener('click', () => this.openImport('settings'));
+    document.getElementById('import-back-btn').addEventListener('click', () => this.showScreen(this.importReturnScreen));
+    document.getElementById('import-file-btn').addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', () => {
+      if (importInput.files[0]) this.handleImportFile(importInput.files[0]);
+      importInput.value = '';
+    });
+    document.getElementById('import-password-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.runImport(this.importFile, document.getElementById('import-password').value);
+    });
+    document.getElementById('import-confirm-btn').addEventListener('click', () => this.confirmImport());
+
+    // Bulk add
+    const bulkInput = document.getElementById('bulk-file-input');
+    document.getElementById('open-bulk-btn').addEventListener('click', () => this.openBulkAdd());
+    document.getElementById('bulk-back-btn').addEventListener('click', () => this.showScreen('add-account'));
+    document.getElementById('bulk-file-btn').addEventListener('click', () => bulkInput.click());
+    bulkInput.addEventListener('change', async () => {
+      if (bulkInput.files[0]) {
+        document.getElementById('bulk-input').value = await bulkInput.files[0].text();
+        this.reviewBulkAdd();
+      }
+      bulkInput.value = '';
+    });
+    document.getElementById('bulk-input').addEventListener('input', () => {
+      document.getElementById('bulk-review').classList.add('hidden');
+    });
+    document.getElementById('bulk-review-btn').addEventListener('click', () => this.reviewBulkAdd());
+    document.getElementById('bulk-add-btn').addEventListener('click', () => this.confirmBulkAdd());
+
+    // Encrypted backup file
+    const backupInput = document.getElementById('backup-file-input');
+    document.getElementById('backup-export-btn').addEventListener('click', () => this.openBackup('export'));
+    document.getElementById('backup-restore-btn').addEventListener('click', () => this.openBackup('restore'));
+    document.getElementById('backup-back-btn').addEventListener('click', () => this.showScreen('settings'));
+    document.getElementById('backup-export-form').addEventListener('submit', (e) => this.handleBackupExport(e));
+    document.getElementById('backup-restore-form').addEventListener('submit', (e) => this.handleBackupRestore(e));
+    document.getElementById('backup-file-btn').addEventListener('click', () => backupInput.click());
+    backupInput.addEventListener('change', () => {
+      this.backupFile = backupInput.files[0] || null;
+      document.getElementById('backup-file-name').textContent = this.backupFile ? this.backupFile.name : 'No file chosen';
+      backupInput.value = '';
+    });
+
+    // Unencrypted export
+    document.getElementById('plain-export-btn').addEventListener('click', () => this.openPlainExport());
+    document.getElementById('plain-export-back-btn').addEventListener('click', () => this.showScreen('settings'));
+    document.getElementById('plain-export-form').addEventListener('submit', (e) => this.handlePlainExport(e));
+
+    // Google Authenticator export
+    document.getElementById('export-migration-btn').addEventListener('click', () => this.openMigrationExport());
+    document.getElementById('export-migration-back-btn').addEventListener('click', () => this.showScreen('settings'));
+    document.getElementById('export-select-all').addEventListener('change', (e) => {
+      document.querySelectorAll('#export-account-list input').forEach(box => { box.checked = e.target.checked; });
+    });
+    document.getElementById('export-migration-submit').addEventListener('click', () => this.handleMigrationExport());
+    document.getElementById('export-prev-btn').addEventListener('click', () => this.showExportPage(this.exportPage - 1));
+    document.getElementById('export-next-btn').addEventListener('click', () => this.showExportPage(this.exportPage + 1));
+
+    // Sync password
+    document.getElementById('sync-auth-form').addEventListener('submit', (e) => this.handleSyncAuth(e));
+    document.getElementById('sync-auth-back-btn').addEventListener('click', () => {
+      this.showScreen(this.pendingSync?.returnScreen || 'main');
+    });
 
     // Settings
     document.getElementById('settings-btn').addEventListener('click', () => this.showScreen('settings'));
@@ -60,6 +313,12 @@ class PopupApp {
     document.getElementById('delete-all-btn').addEventListener('click', () => this.handleDeleteAll());
     document.getElementById('download-cloud-btn')?.addEventListener('click', () => this.downloadFromCloud());
     document.getElementById('upload-cloud-btn')?.addEventListener('click', () => this.uploadToCloud());
+    document.getElementById('auto-lock-minutes').addEventListener('change', (e) => {
+      this.saveLockSettings({ autoLockMinutes: Number(e.target.value) });
+    });
+    document.getElementById('lock-on-system-lock').addEventListener('change', (e) => {
+      this.saveLockSettings({ lockOnSystemLock: e.target.checked });
+    });
   }
 
   showScreen(screen) {
@@ -68,13 +327,42 @@ class PopupApp {
     
     this.currentScreen = screen;
 
+    // Sync and settings need the vault open
+    document.querySelector('.header-actions').classList.toggle('hidden', screen === 'lock');
+
+    // Don't leave an exported secret in the DOM once its screen is closed
+    if (screen !== 'show-qr') {
+      document.getElementById('show-qr-image').removeAttribute('src');
+    }
+    if (screen !== 'import') {
+      this.resetImport();
+    }
+    if (screen !== 'backup') {
+      this.resetBackup();
+    }
+    if (screen !== 'bulk') {
+      this.resetBulkAdd();
+    }
+    if (screen !== 'plain-export') {
+      document.getElementById('plain-export-auth').value = '';
+    }
+    if (screen !== 'sync-auth') {
+      document.getElementById('sync-auth-password').value = '';
+      this.showSyncAuthError('');
+      this.pendingSync = null;
+    }
+    if (screen !== 'export-migration') {
+      document.getElementById('export-qr-image').removeAttribute('src');
+      this.exportUris = [];
+    }
+
     // Update settings screen
     if (screen === 'settings') {
       this.updateSettingsScreen();
     }
 
     // Show/hide timer
-    document.getElementById('timer').style.display = screen === 'main' ? 'flex' : 'none';
+    this.updateTimer();
   }
 
   async handleAuth(e) {
@@ -99,7 +387,6 @@ class PopupApp {
       
       // Derive encryption key from credentials for cross-platform sync
       await this.syncEncryption.deriveKey(email, password);
-      this.userPassword = password; // Keep for re-derivation if needed
       
       await this.loadAccounts();
       
@@ -160,6 +447,8 @@ class PopupApp {
 
   async loadAccounts() {
     this.accounts = await this.storage.getAccounts();
+    // Secrets may have changed or gone away, re-import HMAC keys lazily
+    TotpService.clearKeyCache();
     this.renderAccounts();
   }
 
@@ -175,16 +464,32 @@ class PopupApp {
 
     emptyState.style.display = 'none';
     container.style.display = 'flex';
+
+    // Typed challenges and shown responses outlive the rebuild below
+    const ocraState = this.captureOcraState(container);
     
     // Render placeholder UI first, codes will be filled asynchronously
     container.innerHTML = this.accounts.map(account => `
       <div class="account-card" data-id="${account.id}">
         <div class="account-header">
+          ${PopupApp.ICON_PATTERN.test(account.icon || '') ? `<img class="account-icon" src="${account.icon}" alt="">` : ''}
           <div class="account-info">
             <h3>${this.escapeHtml(account.issuer)}</h3>
             <p>${this.escapeHtml(account.accountName)}</p>
           </div>
           <div class="account-actions">
+            ${TotpService.isHotp(account) ? `
+            <button class="icon-btn next-code-btn" data-id="${account.id}" title="Next code">
+              <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
+                <path d="M17.65 6.35C16.2 4.9 14.21 4 12 4c-4.42 0-7.99 3.58-7.99 8s3.57 8 7.99 8c3.73 0 6.84-2.55 7.73-6h-2.08c-.82 2.33-3.04 4-5.65 4-3.31 0-6-2.69-6-6s2.69-6 6-6c1.66 0 3.14.69 4.22 1.78L13 11h7V4l-2.35 2.35z"/>
+              </svg>
+            </button>` : ''}
+            ${TotpService.isOcra(account) ? '' : `
+            <button class="icon-btn show-qr-btn" data-id="${account.id}" title="Show QR">
+              <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
+                <path d="M3 11h8V3H3v8zm2-6h4v4H5V5zm8-2v8h8V3h-8zm6 6h-4V5h4v4zM3 21h8v-8H3v8zm2-6h4v4H5v-4zm13-2h-2v3h-3v2h3v3h2v-3h3v-2h-3z"/>
+              </svg>
+            </button>`}
             <button class="icon-btn delete-btn" data-id="${account.id}">
               <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
                 <path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"/>
@@ -192,7 +497,16 @@ class PopupApp {
             </button>
           </div>
         </div>
-        <div class="otp-display" data-id="${account.id}">...</div>
+        ${TotpService.isOcra(account) ? this.renderOcraBody(account) : `
+        <div class="otp-display" data-id="${account.id}">...</div>`}
+        ${!TotpService.isTimeBased(account) ? '' : `
+        <div class="next-otp hidden" data-id="${account.id}" title="Copy the next code">
+          Next: <span class="next-otp-code">...</span>
+        </div>
+        <div class="countdown" data-id="${account.id}">
+          <div class="countdown-bar"><div class="countdown-fill"></div></div>
+          <span class="countdown-seconds"></span>
+        </div>`}
         <div class="copied-indicator" id="copied-${account.id}">Copied!</div>
       </div>
     `).join('');
@@ -202,6 +516,27 @@ class PopupApp {
       el.addEventListener('click', () => this.copyOtp(el.dataset.id));
     });
 
+    container.querySelectorAll('.next-otp').forEach(el => {
+      el.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.copyOtp(el.dataset.id, { next: true });
+      });
+    });
+
+    container.querySelectorAll('.next-code-btn').forEach(el => {
+      el.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.nextHotpCode(el.dataset.id);
+      });
+    });
+
+    container.querySelectorAll('.show-qr-btn').forEach(el => {
+      el.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.showAccountQr(el.dataset.id);
+      });
+    });
+
     container.querySelectorAll('.delete-btn').forEach(el => {
       el.addEventListener('click', (e) => {
         e.stopPropagation();
@@ -209,28 +544,220 @@ class PopupApp {
       });
     });
 
-    // Asynchronously compute and fill OTPs for each account (handles SHA1/SHA256/SHA512)
-    for (const account of this.accounts) {
-      const otpEl = container.querySelector(`.otp-display[data-id="${account.id}"]`);
-      if (!otpEl) continue;
-      // Generate and set code
-      this.generateOtp(account).then(code => {
-        otpEl.textContent = code;
-      }).catch(err => {
-        console.error('Failed to generate OTP for', account.id, err);
-        otpEl.textContent = '-----';
+    container.querySelectorAll('.ocra-form').forEach(el => {
+      el.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.respondToChallenge(el.dataset.id);
+      });
+    });
+
+    container.querySelectorAll('.ocra-response').forEach(el => {
+      el.addEventListener('click', () => this.copyOcraResponse(el.dataset.id));
+    });
+
+    this.restoreOcraState(container, ocraState);
+    this.updateCountdowns();
+    this.refreshCodes(this.accounts.filter(account => !TotpService.isOcra(account)));
+  }
+
+  // Challenge input for OCRA accounts, with PIN/session fields only if the suite uses them
+  renderOcraBody(account) {
+    let suite;
+    try {
+      suite = OcraService.parseSuite(account.ocraSuite);
+    } catch (e) {
+      return `<div class="form-error">${this.escapeHtml(e.message)}</div>`;
+    }
+
+    const formats = { N: 'numeric', A: 'alphanumeric', H: 'hex' };
+    return `
+        <form class="ocra-form" data-id="${account.id}" data-suite="${this.escapeHtml(account.ocraSuite)}">
+          <input type="text" class="ocra-challenge" placeholder="Challenge (${formats[suite.question.format]}, ${suite.question.length} chars)" autocomplete="off" required>
+          ${suite.password ? '<input type="password" class="ocra-pin" placeholder="PIN" required>' : ''}
+          ${suite.session ? '<input type="text" class="ocra-session" placeholder="Session information (hex)" autocomplete="off">' : ''}
+          <button type="submit" class="btn btn-primary">Get Response</button>
+          <div class="form-error hidden"></div>
+        </form>
+        <div class="otp-display ocra-response hidden" data-id="${account.id}"></div>`;
+  }
+
+  // Inputs, response and error of each OCRA card, keyed by account id and suite
+  captureOcraState(container) {
+    const state = new Map();
+    container.querySelectorAll('.ocra-form').forEach(form => {
+      const response = container.querySelector(`.ocra-response[data-id="${form.dataset.id}"]`);
+      const error = form.querySelector('.form-error');
+      state.set(form.dataset.id, {
+        suite: form.dataset.suite,
+        fields: PopupApp.OCRA_FIELDS.map(selector => [selector, form.querySelector(selector)?.value ?? '']),
+        focused: PopupApp.OCRA_FIELDS.find(selector => form.querySelector(selector) === document.activeElement),
+        response: response.classList.contains('hidden') ? null : response.textContent,
+        error: error.classList.contains('hidden') ? null : error.textContent
+      });
+    });
+    return state;
+  }
+
+  restoreOcraState(container, state) {
+    container.querySelectorAll('.ocra-form').forEach(form => {
+      const saved = state.get(form.dataset.id);
+      // A changed suite makes the old challenge and response meaningless
+      if (!saved || saved.suite !== form.dataset.suite) return;
+
+      for (const [selector, value] of saved.fields) {
+        const input = form.querySelector(selector);
+        if (input) input.value = value;
+      }
+      if (saved.focused) form.querySelector(saved.focused)?.focus();
+
+      const response = container.querySelector(`.ocra-response[data-id="${form.dataset.id}"]`);
+      if (saved.response !== null) {
+        response.textContent = saved.response;
+        response.classList.remove('hidden');
+      }
+      const error = form.querySelector('.form-error');
+      if (saved.error !== null) {
+        error.textContent = saved.error;
+        error.classList.remove('hidden');
+      }
+    });
+  }
+
+  async respondToChallenge(accountId) {
+    const account = this.accounts.find(a => a.id === accountId);
+    if (!account) return;
+
+    const form = document.querySelector(`.ocra-form[data-id="${accountId}"]`);
+    const errorEl = form.querySelector('.form-error');
+    const responseEl = document.querySelector(`.ocra-response[data-id="${accountId}"]`);
+    errorEl.classList.add('hidden');
+
+    let response;
+    try {
+      response = OcraService.generateResponse(account, {
+        challenge: form.querySelector('.ocra-challenge').value,
+        password: form.querySelector('.ocra-pin')?.value,
+        session: form.querySelector('.ocra-session')?.value
       });
+    } catch (error) {
+      errorEl.textContent = error.message;
+      errorEl.classList.remove('hidden');
+      responseEl.classList.add('hidden');
+      return;
+    }
+
+    responseEl.textContent = response;
+    responseEl.classList.remove('hidden');
+    // Don't leave the PIN sitting in the form
+    const pinEl = form.querySelector('.ocra-pin');
+    if (pinEl) pinEl.value = '';
+
+    // Counter-based suites must never reuse a counter value
+    if (OcraService.parseSuite(account.ocraSuite).counter) {
+      const updated = await this.storage.incrementCounter(accountId);
+      if (updated) account.counter = updated.counter;
+
+      // Quietly, a re-render or an alert would clear the response before it is copied
+      const user = await this.storage.getCurrentUser();
+      if (user) {
+        await this.syncWithCloud({ quiet: true });
+      }
+    }
+  }
+
+  async copyOcraResponse(accountId) {
+    const responseEl = document.querySelector(`.ocra-response[data-id="${accountId}"]`);
+    if (!responseEl.textContent) return;
+
+    await navigator.clipboard.writeText(responseEl.textContent);
+    const indicator = document.getElementById(`copied-${accountId}`);
+    indicator.textContent = 'Copied!';
+    indicator.classList.add('show');
+    setTimeout(() => indicator.classList.remove('show'), 2000);
+  }
+
+  // Compute OTPs for the given accounts in one batch (handles SHA1/SHA256/SHA512)
+  refreshCodes(accounts) {
+    const at = TotpService.now();
+    for (const account of accounts) {
+      this.renderedCounters.set(account.id, TotpService.getCounter(account, at));
+      this.previewCounters.delete(account.id);
+    }
+
+    const container = document.getElementById('accounts-list');
+    return TotpService.generateCodesAsync(accounts, at).then(codes => {
+      for (const [id, code] of codes) {
+        const otpEl = container.querySelector(`.otp-display[data-id="${id}"]`);
+        if (otpEl) otpEl.textContent = code;
+      }
+    });
+  }
+
+  // Move each card's countdown and refresh codes whose own period has rolled over
+  updateCountdowns() {
+    const container = document.getElementById('accounts-list');
+    const at = TotpService.now();
+    const stale = [];
+    const expiring = [];
+
+    for (const account of this.accounts) {
+      if (!TotpService.isTimeBased(account)) continue;
+
+      const period = account.period || 30;
+      const seconds = this.getRemainingSeconds(period);
+      const countdownEl = container.querySelector(`.countdown[data-id="${account.id}"]`);
+      if (countdownEl) {
+        countdownEl.querySelector('.countdown-fill').style.width = `${(seconds / period) * 100}%`;
+        countdownEl.querySelector('.countdown-seconds').textContent = `${seconds}s`;
+        countdownEl.classList.toggle('danger', seconds <= 5);
+        countdownEl.classList.toggle('warning', seconds > 5 && seconds <= 10);
+      }
+
+      // Near the end of the period, show the code that comes next
+      const inPreview = seconds <= PopupApp.PREVIEW_SECONDS;
+      container.querySelector(`.next-otp[data-id="${account.id}"]`)?.classList.toggle('hidden', !inPreview);
+      if (inPreview && this.previewCounters.get(account.id) !== TotpService.getCounter(account, at) + 1) {
+        expiring.push(account);
+      }
+
+      if (this.renderedCounters.get(account.id) !== TotpService.getCounter(account, at)) {
+        stale.push(account);
+      }
+    }
+
+    if (stale.length > 0) {
+      this.refreshCodes(stale);
+    }
+
+    if (expiring.length > 0) {
+      this.refreshPreviews(expiring, at);
+    }
+  }
+
+  // Fill in the upcoming code for accounts about to roll over
+  refreshPreviews(accounts, at) {
+    for (const account of accounts) {
+      this.previewCounters.set(account.id, TotpService.getCounter(account, at) + 1);
     }
+
+    const container = document.getElementById('accounts-list');
+    return TotpService.generateCodesAsync(accounts, at, 1).then(codes => {
+      for (const [id, code] of codes) {
+        const codeEl = container.querySelector(`.next-otp[data-id="${id}"] .next-otp-code`);
+        if (codeEl) codeEl.textContent = code;
+      }
+    });
   }
 
   // Asynchronously generate OTP for an account (uses Web Crypto when needed)
-  async generateOtp(account) {
+  async generateOtp(account, stepOffset = 0) {
     try {
-      return await TotpService.generateCodeAsync(account);
+      return await TotpService.generateCodeForStepAsync(account, stepOffset);
     } catch (e) {
       // Fallback to synchronous method if available
       try {
-        return TotpService.generateCode(account);
+        const period = account.period || 30;
+        return TotpService.generateCode(account, TotpService.now() + stepOffset * period * 1000);
       } catch (e2) {
         console.error('Failed to generate OTP:', e, e2);
         return '-----';
@@ -238,57 +765,154 @@ class PopupApp {
     }
   }
 
-  async copyOtp(accountId) {
+  async copyOtp(accountId, { next = false } = {}) {
     const account = this.accounts.find(a => a.id === accountId);
     if (!account) return;
 
-    const otp = await this.generateOtp(account);
+    const otp = await this.generateOtp(account, next ? 1 : 0);
     await navigator.clipboard.writeText(otp);
 
     // Show copied indicator
     const indicator = document.getElementById(`copied-${accountId}`);
+    indicator.textContent = next ? 'Next code copied!' : 'Copied!';
     indicator.classList.add('show');
     setTimeout(() => indicator.classList.remove('show'), 2000);
   }
 
+  async nextHotpCode(accountId) {
+    const account = await this.storage.incrementCounter(accountId);
+    if (!account) return;
+
+    await this.loadAccounts();
+
+    // Sync if logged in so other devices don't reuse the counter
+    const user = await this.storage.getCurrentUser();
+    if (user) {
+      await this.syncWithCloud();
+    }
+  }
+
   async handleAddAccount(e) {
     e.preventDefault();
+    this.clearFormErrors();
     
     let secret = document.getElementById('secret').value.trim();
-    const issuer = document.getElementById('issuer').value.trim();
-    const accountName = document.getElementById('accountName').value.trim();
+    let issuer = document.getElementById('issuer').value.trim();
+    let accountName = document.getElementById('accountName').value.trim();
+    let type = document.getElementById('type').value;
+    let counter = parseInt(document.getElementById('counter').value || '0');
+    let algorithm = document.getElementById('algorithm').value;
+    let digits = parseInt(document.getElementById('digits').value);
+    let period = parseInt(document.getElementById('period').value || '30');
+    let encoder = null;
+    let encoding = document.getElementById('secret-encoding').value;
+    const ocraSuite = document.getElementById('ocra-suite').value.trim();
+
+    // Steam Guard is TOTP with its own code alphabet
+    if (type === 'steam') {
+      type = 'totp';
+      encoder = 'steam';
+    }
+
+    // A Google Authenticator export holds several accounts, import them all
+    if (MigrationPayload.isMigrationUri(secret)) {
+      try {
+        await this.importMigration([secret]);
+        document.getElementById('secret').value = '';
+      } catch (error) {
+        if (!(error instanceof MigrationError)) throw error;
+        this.showFieldError('secret', error.message);
+      }
+      return;
+    }
 
-    // Parse otpauth:// URL if provided
-    if (secret.startsWith('otpauth://')) {
+    // Parse otpauth:// URL if provided, its parameters override the form
+    if (/^otpauth:\/\//i.test(secret)) {
       try {
-        const parsed = this.parseOtpAuthUrl(secret);
+        const parsed = OtpAuthUri.parse(secret);
         secret = parsed.secret;
+        type = parsed.type;
+        counter = parsed.counter ?? 0;
+        encoder = parsed.encoder || null;
+        algorithm = parsed.algorithm;
+        digits = parsed.digits;
+        period = parsed.period;
+        // Keep any edits made to the pre-filled names
+        issuer = issuer || parsed.issuer;
+        accountName = accountName || parsed.accountName;
+        // otpauth:// secrets are always Base32
+        encoding = 'base32';
       } catch (error) {
-        alert('Invalid otpauth:// URL');
+        if (!(error instanceof OtpAuthError)) throw error;
+        this.showFieldError('secret', `Invalid otpauth:// URL: ${error.message}`);
         return;
       }
+    } else if (period < OtpAuthUri.MIN_PERIOD || period > OtpAuthUri.MAX_PERIOD) {
+      this.showFieldError('period', `Period must be between ${OtpAuthUri.MIN_PERIOD} and ${OtpAuthUri.MAX_PERIOD} seconds`);
+      return;
     }
 
-    // Remove spaces from secret
-    secret = secret.replace(/\s/g, '');
+    // Validate and convert to canonical Base32 before anything is stored
+    try {
+      secret = SecretValidator.normalize(secret, encoding).secret;
+    } catch (error) {
+      if (!(error instanceof SecretValidationError)) throw error;
+      this.showFieldError('secret', error.message);
+      return;
+    }
 
     const account = {
       id: this.generateId(),
       issuer,
       accountName,
       secret,
-      algorithm: 'SHA1',
-      digits: 6,
-      period: 30,
+      algorithm,
+      digits: encoder === 'steam' ? TotpService.STEAM_DIGITS : digits,
+      period,
+      type,
       createdAt: Date.now(),
       updatedAt: Date.now()
     };
 
+    if (type === 'hotp') {
+      account.counter = counter;
+    }
+
+    if (type === 'ocra') {
+      try {
+        account.ocraSuite = OcraService.parseSuite(ocraSuite).suite;
+      } catch (error) {
+        this.showFieldError('ocra-suite', error.message);
+        return;
+      }
+      account.counter = counter;
+    }
+
+    if (encoder) {
+      account.encoder = encoder;
+    }
+
+    // Optionally confirm a code from the service before saving
+    const verificationCode = document.getElementById('verification-code').value.trim();
+    if (verificationCode && type !== 'ocra') {
+      const match = TotpService.verify(account, verificationCode, { window: 1 });
+      if (!match) {
+        this.showFieldError('verification-code', 'The code does not match. Check the secret, algorithm, digits and period.');
+        return;
+      }
+      if (type === 'hotp') {
+        // The verified code is used up, show the next one
+        account.counter = match.counter + 1;
+      }
+    }
+
     await this.storage.addAccount(account);
     await this.loadAccounts();
     
     // Reset form
     document.getElementById('add-account-form').reset();
+    this.clearFormErrors();
+    this.updateCounterField();
     this.showScreen('main');
 
     // Sync if logged in
@@ -298,71 +922,796 @@ class PopupApp {
     }
   }
 
-  parseOtpAuthUrl(url) {
-    const urlObj = new URL(url);
-    const params = new URLSearchParams(urlObj.search);
-    
-    return {
-      secret: params.get('secret'),
-      issuer: params.get('issuer') || urlObj.pathname.split(':')[0].substring(1),
-      accountName: decodeURIComponent(urlObj.pathname.split(':')[1] || ''),
-      algorithm: params.get('algorithm') || 'SHA1',
-      digits: parseInt(params.get('digits') || '6'),
-      period: parseInt(params.get('period') || '30')
-    };
+  showFieldError(fieldId, message) {
+    const errorEl = document.getElementById(`${fieldId}-error`);
+    errorEl.textContent = message;
+    errorEl.classList.remove('hidden');
+    document.getElementById(fieldId).classList.add('invalid');
+    document.getElementById(fieldId).focus();
   }
 
-  async deleteAccount(accountId) {
-    if (!confirm('Delete this account?')) return;
+  clearFormErrors() {
+    document.querySelectorAll('#add-account-form .form-error').forEach(el => {
+      el.textContent = '';
+      el.classList.add('hidden');
+    });
+    document.querySelectorAll('#add-account-form .invalid').forEach(el => el.classList.remove('invalid'));
+  }
 
-    await this.storage.deleteAccount(accountId);
-    await this.loadAccounts();
+  updateCounterField() {
+    const type = document.getElementById('type').value;
+    document.getElementById('counter-group').classList.toggle('hidden', type !== 'hotp' && type !== 'ocra');
+    document.getElementById('ocra-suite-group').classList.toggle('hidden', type !== 'ocra');
+    document.getElementById('ocra-suite').required = type === 'ocra';
+    document.getElementById('otp-options-group').classList.toggle('hidden', type === 'ocra' || type === 'steam');
+  }
 
-    // Sync if logged in
-    const user = await this.storage.getCurrentUser();
-    if (user) {
-      await this.syncWithCloud();
-    }
+  handlePaste(e) {
+    if (this.currentScreen !== 'main' && this.currentScreen !== 'add-account') return;
+
+    const image = Array.from(e.clipboardData?.items || [])
+      .find(item => item.kind === 'file' && item.type.startsWith('image/'));
+    if (!image) return;
+
+    e.preventDefault();
+    this.showScreen('add-account');
+    this.importQrImage(image.getAsFile());
   }
 
-  async syncWithCloud() {
-    const user = this.firebase.getCurrentUser();
-    if (!user) {
-      alert('Please sign in to sync with cloud');
-      return;
+  // Decode a QR image locally and feed the otpauth:// URI into the add-account form
+  async importQrImage(blob) {
+    const errorEl = document.getElementById('qr-error');
+    errorEl.classList.add('hidden');
+    document.getElementById('migration-status').classList.add('hidden');
+
+    try {
+      const text = await QrDecoder.decodeBlob(blob);
+      if (MigrationPayload.isMigrationUri(text)) {
+        await this.importMigration([text]);
+        return;
+      }
+      if (!/^otpauth:\/\//i.test(text)) {
+        throw new QrDecodeError('This QR code is not an authenticator code (no otpauth:// link)');
+      }
+      // Throws OtpAuthError explaining what is wrong with the payload
+      OtpAuthUri.parse(text);
+
+      this.hideQrChoices();
+      this.useQrUri(text);
+    } catch (error) {
+      if (!(error instanceof QrDecodeError) && !(error instanceof OtpAuthError) && !(error instanceof MigrationError)) {
+        throw error;
+      }
+      errorEl.textContent = error.message;
+      errorEl.classList.remove('hidden');
     }
+  }
 
-    // Check if encryption key is ready
-    if (!this.syncEncryption.isInitialized) {
-      // Need to re-derive key - prompt for password
-      const password = prompt('Enter your password to enable sync:');
-      if (!password) return;
-      
+  // Capture the visible tab (activeTab grants this from the popup) and look for otpauth:// QR codes
+  async scanActiveTab() {
+    const errorEl = document.getElementById('qr-error');
+    const button = document.getElementById('scan-page-btn');
+    errorEl.classList.add('hidden');
+    document.getElementById('migration-status').classList.add('hidden');
+    this.hideQrChoices();
+    button.disabled = true;
+
+    try {
+      let dataUrl;
       try {
-        await this.syncEncryption.deriveKey(user.email, password);
-        this.userPassword = password;
+        dataUrl = await chrome.tabs.captureVisibleTab(null, { format: 'png' });
       } catch (e) {
-        alert('Failed to initialize encryption. Please sign in again.');
+        throw new QrDecodeError('This page cannot be captured, try a screenshot instead');
+      }
+
+      // Decode at full resolution, enrollment codes are often small on a large page
+      const blob = await (await fetch(dataUrl)).blob();
+      const texts = await QrDecoder.decodeAllFromBlob(blob);
+
+      // An export page may show several migration batches at once
+      const migrations = texts.filter(text => MigrationPayload.isMigrationUri(text));
+      if (migrations.length) {
+        await this.importMigration(migrations);
         return;
       }
-    }
 
-    try {
-      const syncBtn = document.getElementById('sync-btn');
-      syncBtn.disabled = true;
-      
-      // Get local accounts
-      const localAccounts = await this.storage.getAccounts();
+      const choices = texts
+        .map(text => ({ text, parsed: OtpAuthUri.tryParse(text) }))
+        .filter(choice => choice.parsed);
+
+      if (choices.length === 0) {
+        throw new QrDecodeError(texts.length
+          ? 'No authenticator QR code (otpauth:// link) found on this page'
+          : 'No QR code found on this page');
+      }
+
+      if (choices.length === 1) {
+        this.useQrUri(choices[0].text);
+      } else {
+        this.showQrChoices(choices);
+      }
+    } catch (error) {
+      if (!(error instanceof QrDecodeError) && !(error instanceof MigrationError)) throw error;
+      errorEl.textContent = error.message;
+      errorEl.classList.remove('hidden');
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Import Google Authenticator export batches (otpauth-migration:// URIs)
+   * Each batch is saved as soon as it is read; progress across batches is shown
+   * until every QR code of the export has been scanned
+   */
+  async importMigration(uris) {
+    const payloads = uris.map(uri => MigrationPayload.decode(uri));
+
+    const existing = new Set(this.accounts.map(a => this.accountKey(a)));
+    const added = [];
+    const skipped = [];
+    let duplicates = 0;
+
+    for (const payload of payloads) {
+      this.trackMigrationBatch(payload);
+      skipped.push(...payload.skipped);
+
+      for (const fields of payload.accounts) {
+        // Rescanning a batch must not create copies
+        const key = this.accountKey(fields);
+        if (existing.has(key)) {
+          duplicates++;
+          continue;
+        }
+        existing.add(key);
+        added.push(this.createAccount(fields));
+      }
+    }
+
+    if (added.length) {
+      await this.storage.addAccounts(added);
+      await this.loadAccounts();
+    }
+
+    this.showMigrationStatus(added.length, duplicates, skipped);
+
+    const user = await this.storage.getCurrentUser();
+    if (added.length && user) {
+      await this.syncWithCloud();
+    }
+  }
+
+  // Give imported account fields an id and timestamps
+  createAccount(fields) {
+    return {
+      id: this.generateId(),
+      ...fields,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+  }
+
+  // Remember which batches of the current export have been imported
+  trackMigrationBatch(payload) {
+    if (!this.migrationBatches || this.migrationBatches.batchId !== payload.batchId) {
+      this.migrationBatches = { batchId: payload.batchId, batchSize: payload.batchSize, imported: new Set() };
+    }
+    this.migrationBatches.imported.add(payload.batchIndex);
+  }
+
+  showMigrationStatus(added, duplicates, skipped) {
+    const { batchSize, imported } = this.migrationBatches;
+    const lines = [`Imported ${added} account${added === 1 ? '' : 's'}.`];
+
+    if (duplicates) {
+      lines.push(`${duplicates} already in OmniOTP.`);
+    }
+    skipped.forEach(entry => lines.push(`Skipped ${entry.name}: ${entry.reason}.`));
+
+    if (batchSize > 1) {
+      const missing = [];
+      for (let i = 0; i < batchSize; i++) {
+        if (!imported.has(i)) missing.push(i + 1);
+      }
+      lines.push(missing.length
+        ? `Scanned ${imported.size} of ${batchSize} QR codes, still missing: ${missing.join(', ')}.`
+        : `All ${batchSize} QR codes of this export have been scanned.`);
+    }
+
+    const statusEl = document.getElementById('migration-status');
+    statusEl.textContent = lines.join(' ');
+    statusEl.classList.remove('hidden');
+  }
+
+  // Identifies an account regardless of id, used to skip duplicate imports
+  accountKey(account) {
+    return [account.secret, account.issuer || '', account.accountName || ''].join('\n');
+  }
+
+  // Let the user pick one of several codes found on the page
+  showQrChoices(choices) {
+    const list = document.getElementById('qr-choices-list');
+    list.innerHTML = choices.map((choice, index) => `
+      <button type="button" class="qr-choice" data-index="${index}">
+        <strong>${this.escapeHtml(choice.parsed.issuer || 'Unknown')}</strong>
+        <span>${this.escapeHtml(choice.parsed.accountName)}</span>
+      </button>
+    `).join('');
+
+    list.querySelectorAll('.qr-choice').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.useQrUri(choices[parseInt(btn.dataset.index)].text);
+        this.hideQrChoices();
+      });
+    });
+    document.getElementById('qr-choices').classList.remove('hidden');
+  }
+
+  hideQrChoices() {
+    document.getElementById('qr-choices').classList.add('hidden');
+    document.getElementById('qr-choices-list').innerHTML = '';
+  }
+
+  useQrUri(uri) {
+    document.getElementById('secret').value = uri;
+    this.clearFormErrors();
+    this.prefillFromUri();
+  }
+
+  // Fill the form from a pasted otpauth:// URI so every parsed field is used
+  prefillFromUri() {
+    const parsed = OtpAuthUri.tryParse(document.getElementById('secret').value);
+    if (!parsed) return;
+
+    document.getElementById('issuer').value = parsed.issuer;
+    document.getElementById('accountName').value = parsed.accountName;
+    document.getElementById('type').value = parsed.encoder === 'steam' ? 'steam' : parsed.type;
+    document.getElementById('counter').value = parsed.counter ?? 0;
+    document.getElementById('algorithm').value = parsed.algorithm;
+    document.getElementById('digits').value = String(parsed.digits);
+    document.getElementById('period').value = parsed.period;
+    this.updateCounterField();
+  }
+
+  // Render the account as an otpauth:// QR code so it can be moved to a phone authenticator
+  showAccountQr(accountId) {
+    const account = this.accounts.find(a => a.id === accountId);
+    if (!account) return;
+
+    const label = account.issuer || account.accountName;
+    if (!confirm(`Show the QR code for ${label}? Anyone who can see your screen will be able to copy this account.`)) return;
+
+    // Every parameter is written out so phone apps don't have to assume defaults
+    const uri = OtpAuthUri.generate(account, { includeDefaults: true });
+    const qr = qrcode(0, 'M');
+    qr.addData(uri);
+    qr.make();
+
+    document.getElementById('show-qr-issuer').textContent = account.issuer;
+    document.getElementById('show-qr-account').textContent = account.accountName;
+    document.getElementById('show-qr-image').src = qr.createDataURL(4, 4);
+    this.showScreen('show-qr');
+  }
+
+  openBulkAdd() {
+    this.resetBulkAdd();
+    this.showScreen('bulk');
+    document.getElementById('bulk-input').focus();
+  }
+
+  resetBulkAdd() {
+    this.bulkRows = [];
+    document.getElementById('bulk-input').value = '';
+    document.getElementById('bulk-rows').innerHTML = '';
+    document.getElementById('bulk-review').classList.add('hidden');
+  }
+
+  // Parse every line and show it with its status; only valid, new lines start ticked
+  reviewBulkAdd() {
+    const existing = new Set(this.accounts.map(a => this.accountKey(a)));
+    this.bulkRows = OtpAuthUri.parseLines(document.getElementById('bulk-input').value).map(row => {
+      if (row.error) return { ...row, status: 'error' };
+      const key = this.accountKey(row.parsed);
+      const duplicate = existing.has(key);
+      existing.add(key);
+      return { ...row, status: duplicate ? 'duplicate' : 'ok' };
+    });
+
+    const count = status => this.bulkRows.filter(row => row.status === status).length;
+    document.getElementById('bulk-summary').textContent = this.bulkRows.length
+      ? `${count('ok')} new, ${count('duplicate')} already added, ${count('error')} with errors`
+      : 'No otpauth:// links found';
+
+    const statusText = { ok: 'New', duplicate: 'Already added' };
+    document.getElementById('bulk-rows').innerHTML = this.bulkRows.map((row, index) => `
+      <tr>
+        <td><input type="checkbox" data-index="${index}" ${row.status === 'ok' ? 'checked' : ''} ${row.status === 'error' ? 'disabled' : ''}></td>
+        <td>${row.line}</td>
+        <td>${row.parsed
+          ? `<strong>${this.escapeHtml(row.parsed.issuer)}</strong> ${this.escapeHtml(row.parsed.accountName)}`
+          : this.escapeHtml(row.text.length > 40 ? `${row.text.slice(0, 40)}...` : row.text)}</td>
+        <td class="bulk-status-${row.status}">${this.escapeHtml(row.error || statusText[row.status])}</td>
+      </tr>
+    `).join('');
+
+    document.getElementById('bulk-add-btn').disabled = this.bulkRows.every(row => row.status === 'error');
+    document.getElementById('bulk-review').classList.remove('hidden');
+  }
+
+  // Save the ticked rows with one storage write and one sync
+  async confirmBulkAdd() {
+    const accounts = Array.from(document.querySelectorAll('#bulk-rows input:checked'))
+      .map(box => this.createAccount({ ...this.bulkRows[parseInt(box.dataset.index)].parsed }));
+    if (accounts.length === 0) {
+      alert('Select at least one account to add');
+      return;
+    }
+
+    await this.storage.addAccounts(accounts);
+    await this.loadAccounts();
+    this.showScreen('main');
+
+    const user = await this.storage.getCurrentUser();
+    if (user) {
+      await this.syncWithCloud();
+    }
+  }
+
+  // Signed-in users confirm their password, local-only users their vault PIN
+  async openPlainExport() {
+    const user = await this.storage.getCurrentUser();
+    const authInput = document.getElementById('plain-export-auth');
+    authInput.value = '';
+    document.getElementById('plain-export-auth-label').textContent = user
+      ? `Password for ${user.email}`
+      : 'Your PIN';
+    this.showPlainExportError(null);
+    this.showScreen('plain-export');
+    authInput.focus();
+  }
+
+  showPlainExportError(message) {
+    const errorEl = document.getElementById('plain-export-auth-error');
+    errorEl.textContent = message || '';
+    errorEl.classList.toggle('hidden', !message);
+  }
+
+  async handlePlainExport(e) {
+    e.preventDefault();
+    const auth = document.getElementById('plain-export-auth').value;
+    const format = document.querySelector('input[name="plain-export-format"]:checked').value;
+    const submitBtn = document.getElementById('plain-export-submit');
+    this.showPlainExportError(null);
+
+    const user = await this.storage.getCurrentUser();
+    try {
+      submitBtn.disabled = true;
+      submitBtn.textContent = 'Checking...';
+      if (user) {
+        await this.firebase.reauthenticate(auth);
+      } else {
+        await this.storage.verifyPin(auth);
+      }
+    } catch (error) {
+      if (user) {
+        this.showPlainExportError(`Could not confirm your password: ${error.message}`);
+      } else {
+        this.showPlainExportError(error instanceof VaultError ? error.message : 'Could not check the PIN');
+      }
+      return;
+    } finally {
+      submitBtn.disabled = false;
+      submitBtn.textContent = 'Export';
+      document.getElementById('plain-export-auth').value = '';
+    }
+
+    const accounts = await this.storage.getAccounts();
+    if (format === 'json') {
+      this.downloadFile(PlainExport.fileName('json'), PlainExport.toJson(accounts), 'application/json');
+    } else {
+      this.downloadFile(PlainExport.fileName('txt'), PlainExport.toUriList(accounts), 'text/plain');
+    }
+    this.showScreen('settings');
+  }
+
+  // mode is 'export' or 'restore', each has its own form on the backup screen
+  openBackup(mode) {
+    this.resetBackup();
+    document.getElementById('backup-title').textContent = mode === 'export' ? 'Export Backup' : 'Restore Backup';
+    document.getElementById('backup-export-form').classList.toggle('hidden', mode !== 'export');
+    document.getElementById('backup-restore-form').classList.toggle('hidden', mode !== 'restore');
+    this.showScreen('backup');
+  }
+
+  resetBackup() {
+    for (const id of ['backup-password', 'backup-password-confirm', 'backup-restore-password']) {
+      document.getElementById(id).value = '';
+    }
+    for (const id of ['backup-export-error', 'backup-restore-error']) {
+      this.showBackupError(id, null);
+    }
+    this.backupFile = null;
+    document.getElementById('backup-file-name').textContent = 'No file chosen';
+    document.querySelector('input[name="restore-mode"][value="merge"]').checked = true;
+  }
+
+  showBackupError(id, message) {
+    const errorEl = document.getElementById(id);
+    errorEl.textContent = message || '';
+    errorEl.classList.toggle('hidden', !message);
+  }
+
+  async handleBackupExport(e) {
+    e.preventDefault();
+    const password = document.getElementById('backup-password').value;
+    const confirmation = document.getElementById('backup-password-confirm').value;
+    const submitBtn = document.getElementById('backup-export-submit');
+
+    if (password !== confirmation) {
+      this.showBackupError('backup-export-error', 'The passwords do not match');
+      return;
+    }
+
+    try {
+      submitBtn.disabled = true;
+      submitBtn.textContent = 'Encrypting...';
+      const accounts = await this.storage.getAccounts();
+      const contents = await BackupService.create(accounts, password);
+      this.downloadFile(BackupService.fileName(), contents, 'application/json');
+      this.showScreen('settings');
+    } catch (error) {
+      if (!(error instanceof BackupError)) throw error;
+      this.showBackupError('backup-export-error', error.message);
+    } finally {
+      submitBtn.disabled = false;
+      submitBtn.textContent = 'Download backup';
+    }
+  }
+
+  async handleBackupRestore(e) {
+    e.preventDefault();
+    const password = document.getElementById('backup-restore-password').value;
+    const mode = document.querySelector('input[name="restore-mode"]:checked').value;
+    const submitBtn = document.getElementById('backup-restore-submit');
+
+    if (!this.backupFile) {
+      this.showBackupError('backup-restore-error', 'Choose a backup file first');
+      return;
+    }
+
+    let restored;
+    try {
+      submitBtn.disabled = true;
+      submitBtn.textContent = 'Decrypting...';
+      restored = await BackupService.restore(await this.backupFile.text(), password);
+    } catch (error) {
+      if (!(error instanceof BackupError)) throw error;
+      this.showBackupError('backup-restore-error', error.message);
+      return;
+    } finally {
+      submitBtn.disabled = false;
+      submitBtn.textContent = 'Restore';
+    }
+
+    const local = await this.storage.getAccounts();
+    if (mode === 'replace' &&
+        !confirm(`Replace all ${local.length} accounts on this device with the ${restored.length} in the backup?`)) {
+      return;
+    }
+
+    // Merging matches accounts by id, the newer copy wins as in cloud sync
+    if (mode === 'replace') {
+      await this.storage.saveAccounts(restored);
+    } else {
+      await this.storage.mutate(current => this.mergeAccounts(current, restored));
+    }
+    await this.loadAccounts();
+    this.showScreen('main');
+    alert(`Restored ${restored.length} account${restored.length === 1 ? '' : 's'} from the backup`);
+
+    const user = await this.storage.getCurrentUser();
+    if (user) {
+      await this.syncWithCloud();
+    }
+  }
+
+  // Save text as a file through a temporary download link
+  downloadFile(fileName, contents, type) {
+    const url = URL.createObjectURL(new Blob([contents], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    // Give the download a moment to start before the URL goes away
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  openImport(returnScreen) {
+    this.importReturnScreen = returnScreen;
+    this.resetImport();
+    document.getElementById('import-file-name').textContent = `Supported: ${ImporterRegistry.names()}`;
+    this.showScreen('import');
+  }
+
+  resetImport() {
+    this.importFile = null;
+    this.importCandidates = [];
+    document.getElementById('import-password').value = '';
+    document.getElementById('import-password-form').classList.add('hidden');
+    document.getElementById('import-preview').classList.add('hidden');
+    document.getElementById('import-list').innerHTML = '';
+    this.showImportError(null);
+  }
+
+  showImportError(message) {
+    const errorEl = document.getElementById('import-error');
+    errorEl.textContent = message || '';
+    errorEl.classList.toggle('hidden', !message);
+  }
+
+  // Detect the backup format; encrypted files wait for the password form
+  async handleImportFile(file) {
+    this.resetImport();
+
+    const contents = await ImporterRegistry.read(file);
+    const importer = ImporterRegistry.detect(contents);
+    if (!importer) {
+      document.getElementById('import-file-name').textContent = file.name;
+      this.showImportError(`Unrecognised backup format. Supported: ${ImporterRegistry.names()}`);
+      return;
+    }
+    document.getElementById('import-file-name').textContent = `${file.name} (${importer.NAME})`;
+
+    if (importer.isEncrypted(contents)) {
+      this.importFile = { importer, contents };
+      document.getElementById('import-password-form').classList.remove('hidden');
+      document.getElementById('import-password').focus();
+      return;
+    }
+
+    await this.runImport({ importer, contents });
+  }
+
+  async runImport({ importer, contents }, password) {
+    const decryptBtn = document.getElementById('import-decrypt-btn');
+    this.showImportError(null);
+    decryptBtn.disabled = true;
+    decryptBtn.textContent = 'Decrypting...';
+
+    try {
+      const result = await importer.import(contents, password);
+      document.getElementById('import-password-form').classList.add('hidden');
+      document.getElementById('import-password').value = '';
+      this.importFile = null;
+      this.renderImportPreview(result);
+    } catch (error) {
+      if (!(error instanceof ImportError)) throw error;
+      this.showImportError(error.message);
+    } finally {
+      decryptBtn.disabled = false;
+      decryptBtn.textContent = 'Decrypt';
+    }
+  }
+
+  // List what the backup holds; accounts already in OmniOTP start unticked
+  renderImportPreview({ accounts, skipped }) {
+    const existing = new Set(this.accounts.map(a => this.accountKey(a)));
+    this.importCandidates = accounts.map(account => {
+      const key = this.accountKey(account);
+      const duplicate = existing.has(key);
+      existing.add(key);
+      return { account, duplicate };
+    });
+
+    const duplicates = this.importCandidates.filter(c => c.duplicate).length;
+    document.getElementById('import-summary').textContent =
+      `${accounts.length} account${accounts.length === 1 ? '' : 's'} found` +
+      (duplicates ? `, ${duplicates} already in OmniOTP` : '');
+
+    document.getElementById('import-list').innerHTML = this.importCandidates.map(({ account, duplicate }, index) => `
+      <label class="export-account">
+        <input type="checkbox" data-index="${index}" ${duplicate ? '' : 'checked'}>
+        <span>
+          <strong>${this.escapeHtml(account.issuer)}</strong>
+          ${this.escapeHtml(account.accountName)}
+          ${duplicate ? '<span class="import-duplicate">Already added</span>' : ''}
+        </span>
+      </label>
+    `).join('');
+
+    const skippedEl = document.getElementById('import-skipped');
+    skippedEl.textContent = skipped.length
+      ? `Not imported: ${skipped.map(s => `${s.name} (${s.reason})`).join(', ')}`
+      : '';
+    skippedEl.classList.toggle('hidden', skipped.length === 0);
+
+    document.getElementById('import-confirm-btn').disabled = accounts.length === 0;
+    document.getElementById('import-preview').classList.remove('hidden');
+  }
+
+  // Save the ticked accounts in one write and sync once
+  async confirmImport() {
+    const accounts = Array.from(document.querySelectorAll('#import-list input:checked'))
+      .map(box => this.createAccount(this.importCandidates[parseInt(box.dataset.index)].account));
+    if (accounts.length === 0) {
+      alert('Select at least one account to import');
+      return;
+    }
+
+    await this.storage.addAccounts(accounts);
+    await this.loadAccounts();
+    this.resetImport();
+    this.showScreen('main');
+
+    const user = await this.storage.getCurrentUser();
+    if (user) {
+      await this.syncWithCloud();
+    }
+  }
+
+  // List accounts with checkboxes so a subset can be exported
+  openMigrationExport() {
+    document.getElementById('export-account-list').innerHTML = this.accounts.map(account => `
+      <label class="export-account">
+        <input type="checkbox" value="${account.id}" checked>
+        <span>
+          <strong>${this.escapeHtml(account.issuer)}</strong>
+          ${this.escapeHtml(account.accountName)}
+        </span>
+      </label>
+    `).join('');
+    document.getElementById('export-select-all').checked = true;
+    document.getElementById('export-select').classList.remove('hidden');
+    document.getElementById('export-viewer').classList.add('hidden');
+    this.showScreen('export-migration');
+  }
+
+  // Encode the selected accounts as otpauth-migration:// batches and show them one by one
+  handleMigrationExport() {
+    const selected = new Set(Array.from(document.querySelectorAll('#export-account-list input:checked'), box => box.value));
+    const accounts = this.accounts.filter(a => selected.has(a.id));
+    if (accounts.length === 0) {
+      alert('Select at least one account to export');
+      return;
+    }
+
+    const { uris, skipped } = MigrationPayload.encode(accounts);
+    if (uris.length === 0) {
+      alert(`None of the selected accounts can be exported:\n${skipped.map(s => `${s.name}: ${s.reason}`).join('\n')}`);
+      return;
+    }
+    const count = accounts.length - skipped.length;
+    if (!confirm(`Show ${uris.length} QR code${uris.length === 1 ? '' : 's'} containing the secrets of ${count} account${count === 1 ? '' : 's'}?`)) return;
+
+    const skippedEl = document.getElementById('export-skipped');
+    skippedEl.textContent = skipped.length
+      ? `Not exported: ${skipped.map(s => `${s.name} (${s.reason})`).join(', ')}`
+      : '';
+    skippedEl.classList.toggle('hidden', skipped.length === 0);
+
+    this.exportUris = uris;
+    document.getElementById('export-select').classList.add('hidden');
+    document.getElementById('export-viewer').classList.remove('hidden');
+    this.showExportPage(0);
+  }
+
+  showExportPage(index) {
+    if (index < 0 || index >= this.exportUris.length) return;
+    this.exportPage = index;
+
+    const qr = qrcode(0, 'M');
+    qr.addData(this.exportUris[index]);
+    qr.make();
+
+    document.getElementById('export-qr-image').src = qr.createDataURL(4, 4);
+    document.getElementById('export-page').textContent = `QR code ${index + 1} of ${this.exportUris.length}`;
+    document.getElementById('export-prev-btn').disabled = index === 0;
+    document.getElementById('export-next-btn').disabled = index === this.exportUris.length - 1;
+  }
+
+  async deleteAccount(accountId) {
+    if (!confirm('Delete this account?')) return;
+
+    await this.storage.deleteAccount(accountId);
+    await this.loadAccounts();
+
+    // Sync if logged in
+    const user = await this.storage.getCurrentUser();
+    if (user) {
+      await this.syncWithCloud();
+    }
+  }
+
+  /**
+   * Make sure the sync key is loaded, from the session cache or by asking for the
+   * account password once per browser session. When it has to ask, returns false and
+   * calls retry() after the password is confirmed
+   */
+  async ensureSyncKey(user, retry) {
+    if (this.syncEncryption.isInitialized || await this.syncEncryption.restoreKey(user.email)) {
+      return true;
+    }
+    const returnScreen = this.currentScreen;
+    this.showScreen('sync-auth');
+    this.pendingSync = { retry, returnScreen };
+    document.getElementById('sync-auth-password').focus();
+    return false;
+  }
+
+  showSyncAuthError(message) {
+    const error = document.getElementById('sync-auth-error');
+    error.textContent = message;
+    error.classList.toggle('hidden', !message);
+  }
+
+  async handleSyncAuth(e) {
+    e.preventDefault();
+    const input = document.getElementById('sync-auth-password');
+    const submitBtn = document.getElementById('sync-auth-submit');
+    const user = this.firebase.getCurrentUser();
+    if (!user) {
+      this.showScreen('auth');
+      return;
+    }
+
+    try {
+      submitBtn.disabled = true;
+      submitBtn.textContent = 'Checking...';
+      this.showSyncAuthError('');
+      // Check the password first, a wrong one would derive a key that can't read the cloud data
+      await this.firebase.reauthenticate(input.value);
+      await this.syncEncryption.deriveKey(user.email, input.value);
+    } catch (error) {
+      this.showSyncAuthError(`Could not confirm your password: ${error.message}`);
+      return;
+    } finally {
+      input.value = '';
+      submitBtn.disabled = false;
+      submitBtn.textContent = 'Continue';
+    }
+
+    const { retry, returnScreen } = this.pendingSync || {};
+    this.showScreen(returnScreen || 'main');
+    if (retry) await retry();
+  }
+
+  /**
+   * Upload the local accounts. quiet skips the re-render and alerts, for syncs that must
+   * not disturb what is on screen (an OCRA response the user is about to copy)
+   */
+  async syncWithCloud({ quiet = false } = {}) {
+    const user = this.firebase.getCurrentUser();
+    if (!user) {
+      if (!quiet) alert('Please sign in to sync with cloud');
+      return;
+    }
+
+    // Check if encryption key is ready
+    if (quiet) {
+      // Never switch to the password screen here, the next sync catches up
+      if (!this.syncEncryption.isInitialized && !(await this.syncEncryption.restoreKey(user.email))) return;
+    } else if (!(await this.ensureSyncKey(user, () => this.syncWithCloud()))) {
+      return;
+    }
+
+    try {
+      const syncBtn = document.getElementById('sync-btn');
+      syncBtn.disabled = true;
+      
+      // Get local accounts
+      const localAccounts = await this.storage.getAccounts();
       
       // Upload local accounts to cloud (this ensures deletions are synced)
       const encryptedData = await this.syncEncryption.encryptAccounts(localAccounts);
       await this.firebase.syncToCloud(encryptedData);
       
-      await this.loadAccounts();
-      alert(`Sync completed! ${localAccounts.length} account(s) uploaded.`);
+      if (!quiet) {
+        await this.loadAccounts();
+        alert(`Sync completed! ${localAccounts.length} account(s) uploaded.`);
+      }
     } catch (error) {
       console.error('Sync error:', error);
-      alert('Sync failed: ' + error.message);
+      if (!quiet) alert('Sync failed: ' + error.message);
     } finally {
       document.getElementById('sync-btn').disabled = false;
     }
@@ -376,9 +1725,7 @@ class PopupApp {
     try {
       const cloudAccounts = await this.syncFromCloudInternal();
       if (cloudAccounts.length > 0) {
-        const localAccounts = await this.storage.getAccounts();
-        const merged = this.mergeAccounts(localAccounts, cloudAccounts);
-        await chrome.storage.local.set({ 'omniotp_accounts': merged });
+        await this.storage.mutate(localAccounts => this.mergeAccounts(localAccounts, cloudAccounts));
         await this.loadAccounts();
         return true;
       }
@@ -430,6 +1777,13 @@ class PopupApp {
       if (!existing || (account.updatedAt > existing.updatedAt)) {
         accountMap.set(account.id, account);
       }
+
+      // Never move an HOTP counter backwards, a used code must not come back
+      if (existing && (TotpService.isHotp(account) || TotpService.isOcra(account))) {
+        const merged = accountMap.get(account.id);
+        const counter = Math.max(Number(existing.counter) || 0, Number(account.counter) || 0);
+        accountMap.set(account.id, { ...merged, counter });
+      }
     }
     
     return Array.from(accountMap.values());
@@ -440,8 +1794,7 @@ class PopupApp {
 
     await this.firebase.signOut();
     await this.storage.setCurrentUser(null);
-    this.syncEncryption.clearKey();
-    this.userPassword = null;
+    await this.syncEncryption.clearKey();
     this.showScreen('auth');
   }
 
@@ -453,18 +1806,7 @@ class PopupApp {
     }
 
     // Check if encryption key is ready
-    if (!this.syncEncryption.isInitialized) {
-      const password = prompt('Enter your password to enable sync:');
-      if (!password) return;
-      
-      try {
-        await this.syncEncryption.deriveKey(user.email, password);
-        this.userPassword = password;
-      } catch (e) {
-        alert('Failed to initialize encryption. Please sign in again.');
-        return;
-      }
-    }
+    if (!(await this.ensureSyncKey(user, () => this.downloadFromCloud()))) return;
 
     try {
       const cloudAccounts = await this.syncFromCloudInternal();
@@ -475,7 +1817,7 @@ class PopupApp {
       }
 
       // Replace local accounts with cloud accounts
-      await chrome.storage.local.set({ 'omniotp_accounts': cloudAccounts });
+      await this.storage.saveAccounts(cloudAccounts);
       await this.loadAccounts();
       alert(`Downloaded ${cloudAccounts.length} account(s) from cloud!`);
     } catch (error) {
@@ -492,18 +1834,7 @@ class PopupApp {
     }
 
     // Check if encryption key is ready
-    if (!this.syncEncryption.isInitialized) {
-      const password = prompt('Enter your password to enable sync:');
-      if (!password) return;
-      
-      try {
-        await this.syncEncryption.deriveKey(user.email, password);
-        this.userPassword = password;
-      } catch (e) {
-        alert('Failed to initialize encryption. Please sign in again.');
-        return;
-      }
-    }
+    if (!(await this.ensureSyncKey(user, () => this.uploadToCloud()))) return;
 
     try {
       const localAccounts = await this.storage.getAccounts();
@@ -529,7 +1860,33 @@ class PopupApp {
     await this.loadAccounts();
   }
 
+  updateClockStatus() {
+    const offsetMs = this.clockSkew.offsetMs;
+    const sign = offsetMs > 0 ? '+' : '';
+    document.getElementById('clock-offset').textContent = this.clockSkew.measuredAt
+      ? `${sign}${(offsetMs / 1000).toFixed(1)}s`
+      : 'Not measured';
+    document.getElementById('clock-warning').classList.toggle('hidden', !this.clockSkew.isSkewed());
+  }
+
+  // On failure the controls go back to the stored values
+  async saveLockSettings(lockSettings) {
+    try {
+      await this.storage.saveLockSettings(lockSettings);
+    } catch (error) {
+      alert('Could not save the auto-lock setting: ' + error.message);
+      this.updateSettingsScreen();
+    }
+  }
+
   updateSettingsScreen() {
+    this.updateClockStatus();
+
+    this.storage.getLockSettings().then(({ autoLockMinutes, lockOnSystemLock }) => {
+      document.getElementById('auto-lock-minutes').value = String(autoLockMinutes);
+      document.getElementById('lock-on-system-lock').checked = lockOnSystemLock;
+    });
+
     this.storage.getCurrentUser().then(user => {
       const accountSection = document.getElementById('account-section');
       if (user) {
@@ -542,22 +1899,39 @@ class PopupApp {
   }
 
   startTimer() {
+    this.tick();
+  }
+
+  tick() {
     this.updateTimer();
-    this.timerInterval = setInterval(() => {
-      this.updateTimer();
-      
-      // Refresh OTPs when timer resets
-      if (this.getRemainingSeconds() === 30) {
-        this.renderAccounts();
-      }
-    }, 1000);
+    if (this.currentScreen === 'main') {
+      this.updateCountdowns();
+    }
+
+    // Wake up on the next whole second so codes roll over right at their boundary
+    const delay = 1000 - (TotpService.now() % 1000);
+    this.timerTimeout = setTimeout(() => this.tick(), delay);
+  }
+
+  // Periods used by the time-based accounts in the vault
+  getPeriods() {
+    return [...new Set(this.accounts
+      .filter(account => TotpService.isTimeBased(account))
+      .map(account => account.period || 30))];
   }
 
   updateTimer() {
-    const seconds = this.getRemainingSeconds();
     const timerEl = document.getElementById('timer');
     const secondsEl = document.getElementById('timer-seconds');
-    
+    const periods = this.getPeriods();
+
+    // The header timer only makes sense when every account shares one period,
+    // mixed-period vaults rely on the countdown on each card
+    const showTimer = this.currentScreen === 'main' && periods.length === 1;
+    timerEl.style.display = showTimer ? 'flex' : 'none';
+    if (!showTimer) return;
+
+    const seconds = this.getRemainingSeconds(periods[0]);
     secondsEl.textContent = seconds;
     
     timerEl.classList.remove('warning', 'danger');
@@ -568,9 +1942,8 @@ class PopupApp {
     }
   }
 
-  getRemainingSeconds() {
-    const now = Math.floor(Date.now() / 1000);
-    return 30 - (now % 30);
+  getRemainingSeconds(period = 30) {
+    return TotpService.getRemainingSeconds(period);
   }
 
   generateId() {
@@ -0,0 +1,197 @@
+/**
+ * Minimal protobuf wire-format reader and writer
+ * Only what the otpauth-migration payload needs: varints and length-delimited fields
+ */
+export class ProtobufError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProtobufError';
+  }
+}
+
+export class ProtobufReader {
+  static WIRE_VARINT = 0;
+  static WIRE_FIXED64 = 1;
+  static WIRE_LENGTH_DELIMITED = 2;
+  static WIRE_FIXED32 = 5;
+
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.offset = 0;
+  }
+
+  hasMore() {
+    return this.offset < this.bytes.length;
+  }
+
+  /**
+   * Read the next field key, returns { field, wireType }
+   */
+  readKey() {
+    const key = this.readVarint();
+    return { field: Math.floor(key / 8), wireType: key % 8 };
+  }
+
+  /**
+   * Read an unsigned varint as a Number (exact up to 2^53)
+   */
+  readVarint() {
+    let value = 0;
+    let multiplier = 1;
+    for (let i = 0; i < 10; i++) {
+      if (this.offset >= this.bytes.length) {
+        throw new ProtobufError('Truncated varint');
+      }
+      const byte = this.bytes[this.offset++];
+      value += (byte & 0x7f) * multiplier;
+      if ((byte & 0x80) === 0) return value;
+      multiplier *= 128;
+    }
+    throw new ProtobufError('Varint is too long');
+  }
+
+  /**
+   * Read an int32 varint, negative values are sign-extended to ten bytes on the wire
+   */
+  readInt32() {
+    let value = 0;
+    for (let shift = 0; shift < 70; shift += 7) {
+      if (this.offset >= this.bytes.length) {
+        throw new ProtobufError('Truncated varint');
+      }
+      const byte = this.bytes[this.offset++];
+      if (shift < 32) {
+        value |= (byte & 0x7f) << shift;
+      }
+      if ((byte & 0x80) === 0) return value;
+    }
+    throw new ProtobufError('Varint is too long');
+  }
+
+  readBytes() {
+    const length = this.readVarint();
+    if (this.offset + length > this.bytes.length) {
+      throw new ProtobufError('Truncated length-delimited field');
+    }
+    const value = this.bytes.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return value;
+  }
+
+  readString() {
+    return new TextDecoder().decode(this.readBytes());
+  }
+
+  /**
+   * Skip a field this reader doesn't know about
+   */
+  skip(wireType) {
+    switch (wireType) {
+      case ProtobufReader.WIRE_VARINT:
+        this.readVarint();
+        break;
+      case ProtobufReader.WIRE_FIXED64:
+        this.advance(8);
+        break;
+      case ProtobufReader.WIRE_LENGTH_DELIMITED:
+        this.readBytes();
+        break;
+      case ProtobufReader.WIRE_FIXED32:
+        this.advance(4);
+        break;
+      default:
+        throw new ProtobufError(`Unsupported wire type ${wireType}`);
+    }
+  }
+
+  advance(length) {
+    if (this.offset + length > this.bytes.length) {
+      throw new ProtobufError('Truncated fixed-width field');
+    }
+    this.offset += length;
+  }
+}
+
+/**
+ * Minimal protobuf wire-format writer, the counterpart of ProtobufReader
+ */
+export class ProtobufWriter {
+  constructor() {
+    this.bytes = [];
+  }
+
+  writeKey(field, wireType) {
+    this.writeVarint(field * 8 + wireType);
+  }
+
+  /**
+   * Write an unsigned varint (exact up to 2^53)
+   */
+  writeVarint(value) {
+    let remaining = value;
+    while (remaining >= 0x80) {
+      this.bytes.push((remaining % 128) | 0x80);
+      remaining = Math.floor(remaining / 128);
+    }
+    this.bytes.push(remaining);
+  }
+
+  /**
+   * Write an int32 varint, negative values take ten bytes as in protobuf
+   */
+  writeInt32(value) {
+    if (value >= 0) {
+      this.writeVarint(value);
+      return;
+    }
+    let low = value >>> 0;
+    for (let i = 0; i < 4; i++) {
+      this.bytes.push((low & 0x7f) | 0x80);
+      low >>>= 7;
+    }
+    // Bits 28-31 of the value, then the sign extension
+    this.bytes.push((low & 0x0f) | 0x70 | 0x80);
+    for (let i = 0; i < 4; i++) {
+      this.bytes.push(0xff);
+    }
+    this.bytes.push(0x01);
+  }
+
+  writeBytes(bytes) {
+    this.writeVarint(bytes.length);
+    this.bytes.push(...bytes);
+  }
+
+  writeString(value) {
+    this.writeBytes(new TextEncoder().encode(value));
+  }
+
+  // Field helpers, default values are left out as proto3 does
+  varintField(field, value) {
+    if (!value) return;
+    this.writeKey(field, ProtobufReader.WIRE_VARINT);
+    this.writeVarint(value);
+  }
+
+  int32Field(field, value) {
+    if (!value) return;
+    this.writeKey(field, ProtobufReader.WIRE_VARINT);
+    this.writeInt32(value);
+  }
+
+  bytesField(field, bytes) {
+    if (!bytes.length) return;
+    this.writeKey(field, ProtobufReader.WIRE_LENGTH_DELIMITED);
+    this.writeBytes(bytes);
+  }
+
+  stringField(field, value) {
+    if (!value) return;
+    this.writeKey(field, ProtobufReader.WIRE_LENGTH_DELIMITED);
+    this.writeString(value);
+  }
+
+  finish() {
+    return Uint8Array.from(this.bytes);
+  }
+}
@@ -0,0 +1,132 @@
+// jsQR is a UMD bundle, importing it for its side effect sets self.jsQR
+import './lib/jsQR.js';
+
+/**
+ * QR Decoder - reads QR codes from images with the bundled jsQR decoder
+ * Nothing leaves the browser, images are decoded locally on a canvas
+ */
+export class QrDecodeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QrDecodeError';
+  }
+}
+
+export class QrDecoder {
+  // Large screenshots are scaled down first, jsQR is slow on full-resolution captures
+  static MAX_DIMENSION = 1600;
+
+  /**
+   * Decode the first QR code in an image File/Blob
+   * Returns the decoded text, throws QrDecodeError if nothing readable is found
+   */
+  static async decodeBlob(blob) {
+    if (!blob || !blob.type.startsWith('image/')) {
+      throw new QrDecodeError('Please choose an image file');
+    }
+
+    let imageData;
+    try {
+      imageData = await this.blobToImageData(blob);
+    } catch (e) {
+      throw new QrDecodeError('Could not read this image');
+    }
+
+    const result = this.decodeImageData(imageData);
+    if (!result) {
+      throw new QrDecodeError('No QR code found in this image');
+    }
+    return result.data;
+  }
+
+  /**
+   * Find every QR code in an image (e.g. a capture of a whole page)
+   * Returns the distinct decoded texts, in the order they were found
+   */
+  static async decodeAllFromBlob(blob, { maxCodes = 8, maxDimension = Infinity } = {}) {
+    let imageData;
+    try {
+      imageData = await this.blobToImageData(blob, maxDimension);
+    } catch (e) {
+      throw new QrDecodeError('Could not read this image');
+    }
+    return this.decodeAll(imageData, maxCodes);
+  }
+
+  /**
+   * jsQR stops at the first code, so each found code is painted over and the
+   * image scanned again until nothing more is found
+   */
+  static decodeAll(imageData, maxCodes = 8) {
+    const results = [];
+    for (let i = 0; i < maxCodes; i++) {
+      const result = this.decodeImageData(imageData);
+      if (!result) break;
+
+      if (!results.includes(result.data)) {
+        results.push(result.data);
+      }
+      this.eraseRegion(imageData, result.location);
+    }
+    return results;
+  }
+
+  /**
+   * Paint the bounding box of a located code (plus a quiet-zone margin) white
+   */
+  static eraseRegion(imageData, location) {
+    const corners = [
+      location.topLeftCorner,
+      location.topRightCorner,
+      location.bottomLeftCorner,
+      location.bottomRightCorner
+    ];
+    const xs = corners.map(c => c.x);
+    const ys = corners.map(c => c.y);
+    const margin = Math.ceil((Math.max(...xs) - Math.min(...xs)) * 0.1);
+
+    const left = Math.max(0, Math.floor(Math.min(...xs)) - margin);
+    const right = Math.min(imageData.width, Math.ceil(Math.max(...xs)) + margin);
+    const top = Math.max(0, Math.floor(Math.min(...ys)) - margin);
+    const bottom = Math.min(imageData.height, Math.ceil(Math.max(...ys)) + margin);
+
+    for (let y = top; y < bottom; y++) {
+      imageData.data.fill(255, (y * imageData.width + left) * 4, (y * imageData.width + right) * 4);
+    }
+  }
+
+  /**
+   * Decode ImageData, returns jsQR's result ({ data, location }) or null
+   */
+  static decodeImageData(imageData) {
+    return self.jsQR(imageData.data, imageData.width, imageData.height, {
+      inversionAttempts: 'attemptBoth'
+    });
+  }
+
+  /**
+   * Draw an image blob onto a canvas (scaled to MAX_DIMENSION) and read its pixels
+   */
+  static async blobToImageData(blob, maxDimension = QrDecoder.MAX_DIMENSION) {
+    const bitmap = await createImageBitmap(blob);
+    try {
+      return this.bitmapToImageData(bitmap, maxDimension);
+    } finally {
+      bitmap.close();
+    }
+  }
+
+  static bitmapToImageData(bitmap, maxDimension = QrDecoder.MAX_DIMENSION) {
+    const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+    const width = Math.round(bitmap.width * scale);
+    const height = Math.round(bitmap.height * scale);
+
+    const canvas = new OffscreenCanvas(width, height);
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    // White background so transparent PNGs don't decode as all-black
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, width, height);
+    context.drawImage(bitmap, 0, 0, width, height);
+    return context.getImageData(0, 0, width, height);
+  }
+}
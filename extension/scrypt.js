@@ -0,0 +1,123 @@
+/**
+ * scrypt key derivation (RFC 7914)
+ * Web Crypto has no scrypt, so the memory-hard mixing is done here and the two
+ * PBKDF2-HMAC-SHA256 passes around it use crypto.subtle
+ */
+export class Scrypt {
+  /**
+   * Derive dkLen bytes from password and salt (both Uint8Array)
+   */
+  static async derive(password, salt, { N, r, p, dkLen = 32 }) {
+    if (!N || N < 2 || (N & (N - 1)) !== 0) {
+      throw new Error('scrypt N must be a power of two greater than 1');
+    }
+    if (!r || !p || r * p >= 2 ** 30) {
+      throw new Error('Invalid scrypt parameters');
+    }
+
+    const blockSize = 128 * r;
+    const B = await this.pbkdf2(password, salt, p * blockSize);
+
+    const words = blockSize / 4;
+    const X = new Uint32Array(words);
+    const V = new Uint32Array(words * N);
+    const scratch = new Uint32Array(16);
+    const Y = new Uint32Array(words);
+
+    for (let i = 0; i < p; i++) {
+      this.bytesToWords(B, i * blockSize, X);
+      this.roMix(X, V, Y, scratch, N, r);
+      this.wordsToBytes(X, B, i * blockSize);
+    }
+
+    return this.pbkdf2(password, B, dkLen);
+  }
+
+  static async pbkdf2(password, salt, length) {
+    const key = await crypto.subtle.importKey('raw', password, 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', salt, iterations: 1, hash: 'SHA-256' },
+      key,
+      length * 8
+    );
+    return new Uint8Array(bits);
+  }
+
+  /**
+   * scryptROMix on X in place, V holds N copies of the block
+   */
+  static roMix(X, V, Y, scratch, N, r) {
+    const words = X.length;
+    for (let i = 0; i < N; i++) {
+      V.set(X, i * words);
+      this.blockMix(X, Y, scratch, r);
+    }
+    for (let i = 0; i < N; i++) {
+      // Integerify: first word of the last 64-byte block, N is at most 2^32
+      const j = X[words - 16] & (N - 1);
+      const offset = j * words;
+      for (let k = 0; k < words; k++) {
+        X[k] ^= V[offset + k];
+      }
+      this.blockMix(X, Y, scratch, r);
+    }
+  }
+
+  /**
+   * scryptBlockMix with Salsa20/8, B is replaced by its mix
+   */
+  static blockMix(B, Y, scratch, r) {
+    scratch.set(B.subarray((2 * r - 1) * 16, 2 * r * 16));
+    for (let i = 0; i < 2 * r; i++) {
+      for (let k = 0; k < 16; k++) {
+        scratch[k] ^= B[i * 16 + k];
+      }
+      this.salsa20_8(scratch);
+      // Even blocks go to the first half, odd blocks to the second
+      const target = (i % 2 === 0 ? i / 2 : r + (i - 1) / 2) * 16;
+      Y.set(scratch, target);
+    }
+    B.set(Y);
+  }
+
+  static salsa20_8(B) {
+    const x = Uint32Array.from(B);
+    const R = (a, b) => (a << b) | (a >>> (32 - b));
+    for (let i = 0; i < 8; i += 2) {
+      x[4] ^= R(x[0] + x[12], 7); x[8] ^= R(x[4] + x[0], 9);
+      x[12] ^= R(x[8] + x[4], 13); x[0] ^= R(x[12] + x[8], 18);
+      x[9] ^= R(x[5] + x[1], 7); x[13] ^= R(x[9] + x[5], 9);
+      x[1] ^= R(x[13] + x[9], 13); x[5] ^= R(x[1] + x[13], 18);
+      x[14] ^= R(x[10] + x[6], 7); x[2] ^= R(x[14] + x[10], 9);
+      x[6] ^= R(x[2] + x[14], 13); x[10] ^= R(x[6] + x[2], 18);
+      x[3] ^= R(x[15] + x[11], 7); x[7] ^= R(x[3] + x[15], 9);
+      x[11] ^= R(x[7] + x[3], 13); x[15] ^= R(x[11] + x[7], 18);
+      x[1] ^= R(x[0] + x[3], 7); x[2] ^= R(x[1] + x[0], 9);
+      x[3] ^= R(x[2] + x[1], 13); x[0] ^= R(x[3] + x[2], 18);
+      x[6] ^= R(x[5] + x[4], 7); x[7] ^= R(x[6] + x[5], 9);
+      x[4] ^= R(x[7] + x[6], 13); x[5] ^= R(x[4] + x[7], 18);
+      x[11] ^= R(x[10] + x[9], 7); x[8] ^= R(x[11] + x[10], 9);
+      x[9] ^= R(x[8] + x[11], 13); x[10] ^= R(x[9] + x[8], 18);
+      x[12] ^= R(x[15] + x[14], 7); x[13] ^= R(x[12] + x[15], 9);
+      x[14] ^= R(x[13] + x[12], 13); x[15] ^= R(x[14] + x[13], 18);
+    }
+    for (let i = 0; i < 16; i++) {
+      B[i] = B[i] + x[i];
+    }
+  }
+
+  // scrypt is defined on little-endian words
+  static bytesToWords(bytes, offset, words) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset + offset, words.length * 4);
+    for (let i = 0; i < words.length; i++) {
+      words[i] = view.getUint32(i * 4, true);
+    }
+  }
+
+  static wordsToBytes(words, bytes, offset) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset + offset, words.length * 4);
+    for (let i = 0; i < words.length; i++) {
+      view.setUint32(i * 4, words[i], true);
+    }
+  }
+}
@@ -0,0 +1,193 @@
+/**
+ * Secret Validator - checks and normalises shared secrets
+ * Accepts Base32 (RFC 4648), hex and Base64 input and returns canonical Base32
+ */
+export class SecretValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SecretValidationError';
+  }
+}
+
+export class SecretValidator {
+  static BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  // RFC 4226 asks for 128 bits, but many services still issue 80-bit keys
+  static MIN_KEY_BYTES = 10;
+
+  // Characters people commonly type instead of their Base32 look-alikes
+  static LOOKALIKES = { '0': 'O', '1': 'I', '8': 'B' };
+
+  /**
+   * Normalise a secret in the given encoding ('auto', 'base32', 'hex' or 'base64')
+   * Returns { secret, encoding, bytes } where secret is unpadded uppercase Base32
+   * Throws SecretValidationError with a user-facing explanation
+   */
+  static normalize(input, encoding = 'auto') {
+    const raw = (input || '').trim();
+    if (!raw) {
+      throw new SecretValidationError('Secret is required');
+    }
+
+    let bytes;
+    let detected = encoding;
+
+    switch (encoding) {
+      case 'base32':
+        bytes = this.decodeBase32(raw);
+        break;
+      case 'hex':
+        bytes = this.decodeHex(raw);
+        break;
+      case 'base64':
+        bytes = this.decodeBase64(raw);
+        break;
+      default:
+        ({ bytes, encoding: detected } = this.decodeAuto(raw));
+        break;
+    }
+
+    if (bytes.length < this.MIN_KEY_BYTES) {
+      throw new SecretValidationError(
+        `Secret is too short (${bytes.length * 8} bits). At least ${this.MIN_KEY_BYTES * 8} bits are required.`
+      );
+    }
+
+    return { secret: this.encodeBase32(bytes), encoding: detected, bytes };
+  }
+
+  /**
+   * Check a secret without throwing
+   * Returns null if valid, otherwise the error message
+   */
+  static validate(input, encoding = 'auto') {
+    try {
+      this.normalize(input, encoding);
+      return null;
+    } catch (e) {
+      if (e instanceof SecretValidationError) return e.message;
+      throw e;
+    }
+  }
+
+  /**
+   * Try Base32 first (what services hand out), then hex, then Base64
+   */
+  static decodeAuto(raw) {
+    let base32Error;
+    try {
+      return { bytes: this.decodeBase32(raw), encoding: 'base32' };
+    } catch (e) {
+      base32Error = e;
+    }
+
+    const compact = raw.replace(/[\s:-]/g, '');
+    if (/^(0x)?[0-9a-f]+$/i.test(compact) && compact.replace(/^0x/i, '').length % 2 === 0) {
+      return { bytes: this.decodeHex(raw), encoding: 'hex' };
+    }
+
+    if (/^[A-Za-z0-9+/_-]+={0,2}$/.test(compact) && /[a-z+/_]/.test(compact)) {
+      try {
+        return { bytes: this.decodeBase64(raw), encoding: 'base64' };
+      } catch (e) {
+        // Fall through to the Base32 explanation, it's the expected format
+      }
+    }
+
+    throw base32Error;
+  }
+
+  /**
+   * Strict Base32 decoder - rejects anything outside the RFC 4648 alphabet
+   */
+  static decodeBase32(input) {
+    const cleaned = input.toUpperCase().replace(/[\s-]/g, '');
+    const unpadded = cleaned.replace(/=+$/, '');
+
+    if (unpadded.includes('=')) {
+      throw new SecretValidationError('Padding (=) is only allowed at the end of a Base32 secret');
+    }
+
+    for (let i = 0; i < unpadded.length; i++) {
+      const ch = unpadded[i];
+      if (!this.BASE32_ALPHABET.includes(ch)) {
+        const hint = this.LOOKALIKES[ch] ? ` Did you mean '${this.LOOKALIKES[ch]}'?` : '';
+        throw new SecretValidationError(
+          `Invalid Base32 character '${ch}' at position ${i + 1}. Base32 uses only A-Z and 2-7.${hint}`
+        );
+      }
+    }
+
+    // 1, 3 or 6 trailing characters can't come from whole bytes
+    if ([1, 3, 6].includes(unpadded.length % 8)) {
+      throw new SecretValidationError('Base32 secret has an invalid length, a character may be missing');
+    }
+
+    let buffer = 0;
+    let bitCount = 0;
+    const bytes = [];
+    for (const ch of unpadded) {
+      buffer = (buffer << 5) | this.BASE32_ALPHABET.indexOf(ch);
+      bitCount += 5;
+      if (bitCount >= 8) {
+        bitCount -= 8;
+        bytes.push((buffer >>> bitCount) & 0xff);
+      }
+    }
+
+    return new Uint8Array(bytes);
+  }
+
+  /**
+   * Hex decoder - accepts an optional 0x prefix and space/colon separators
+   */
+  static decodeHex(input) {
+    const compact = input.replace(/[\s:-]/g, '').replace(/^0x/i, '');
+    if (!/^[0-9a-f]*$/i.test(compact)) {
+      throw new SecretValidationError('Hex secret may only contain 0-9 and A-F');
+    }
+    if (compact.length % 2 !== 0) {
+      throw new SecretValidationError('Hex secret must have an even number of digits');
+    }
+
+    const bytes = new Uint8Array(compact.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = parseInt(compact.substr(i * 2, 2), 16);
+    }
+    return bytes;
+  }
+
+  /**
+   * Base64 decoder - accepts standard and URL-safe alphabets
+   */
+  static decodeBase64(input) {
+    const compact = input.replace(/\s/g, '').replace(/-/g, '+').replace(/_/g, '/');
+    const body = compact.replace(/=+$/, '');
+    if (!/^[A-Za-z0-9+/]*={0,2}$/.test(compact) || body.length % 4 === 1) {
+      throw new SecretValidationError('Base64 secret contains invalid characters');
+    }
+
+    const padded = body.padEnd(Math.ceil(body.length / 4) * 4, '=');
+    return Uint8Array.from(atob(padded), c => c.charCodeAt(0));
+  }
+
+  /**
+   * Base32 encoder (RFC 4648, no padding)
+   */
+  static encodeBase32(bytes) {
+    let buffer = 0;
+    let bitCount = 0;
+    let output = '';
+    for (const byte of bytes) {
+      buffer = (buffer << 8) | byte;
+      bitCount += 8;
+      while (bitCount >= 5) {
+        bitCount -= 5;
+        output += this.BASE32_ALPHABET[(buffer >>> bitCount) & 0x1f];
+      }
+    }
+    if (bitCount > 0) {
+      output += this.BASE32_ALPHABET[(buffer << (5 - bitCount)) & 0x1f];
+    }
+    return output;
+  }
+}
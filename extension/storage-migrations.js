@@ -0,0 +1,50 @@
+import { SyncEncryptionService } from './sync-encryption.js';
+
+/**
+ * Ordered upgrades of the stored data, tracked by the schema version in chrome.storage.local
+ * Add new steps at the end with the next version number, never change a released one.
+ * A step either rewrites the account list (migrateAccounts) or works on storage directly
+ * (migrate); account steps need the vault key, so they wait until the vault is unlocked
+ */
+export class StorageMigrations {
+  static MIGRATIONS = [
+    {
+      version: 1,
+      description: 'Give every account an explicit type, and HOTP/OCRA accounts a numeric counter',
+      migrateAccounts: accounts => accounts.map(account => SyncEncryptionService.normalizeAccount(account))
+    }
+  ];
+
+  static get LATEST_VERSION() {
+    return this.MIGRATIONS[this.MIGRATIONS.length - 1].version;
+  }
+
+  /**
+   * Apply every step newer than the stored version, in order, recording each one as it
+   * completes. Stops at the first account step while the vault is locked.
+   * Returns the schema version reached
+   */
+  static async run(storage) {
+    let version = await storage.getSchemaVersion();
+    for (const migration of this.MIGRATIONS) {
+      if (migration.version <= version) continue;
+
+      if (migration.migrateAccounts && !storage.isUnlocked) break;
+
+      try {
+        if (migration.migrateAccounts) {
+          await storage.mutate(accounts => migration.migrateAccounts(accounts));
+        } else {
+          await migration.migrate(storage);
+        }
+      } catch (e) {
+        console.warn(`Storage migration to schema ${migration.version} failed:`, e);
+        throw e;
+      }
+
+      version = migration.version;
+      await storage.setSchemaVersion(version);
+    }
+    return version;
+  }
+}
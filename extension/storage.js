@@ -1,45 +1,344 @@
+import { SyncEncryptionService } from './sync-encryption.js';
+
 /**
  * Storage Service - Chrome Storage API wrapper
- * Stores encrypted account data locally
+ * Accounts live in an encrypted vault: AES-256-GCM with a key derived from the user's
+ * PIN (PBKDF2-SHA256), so secrets never reach chrome.storage.local in plain text.
+ * While unlocked the key is kept in chrome.storage.session, which is memory-only and
+ * shared by the popup and the service worker, and is removed again on lock.
+ * Every account write goes through mutate(), which serialises them across views
  */
+export class VaultError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'VaultError';
+  }
+}
+
 export class StorageService {
+  static VAULT_VERSION = 1;
+  static ITERATIONS = 600000;
+  static SALT_LENGTH = 16;
+  static MIN_PIN_LENGTH = 4;
+  static DEFAULT_AUTO_LOCK_MINUTES = 15;
+  static LOCK_NAME = 'omniotp-accounts';
+  static SETTINGS_LOCK_NAME = 'omniotp-settings';
+
   constructor() {
+    // Plaintext accounts from before the vault, only read to migrate them
     this.ACCOUNTS_KEY = 'omniotp_accounts';
+    this.VAULT_KEY = 'omniotp_vault';
     this.USER_KEY = 'omniotp_user';
     this.SETTINGS_KEY = 'omniotp_settings';
+    this.SESSION_KEY = 'omniotp_session';
+    this.SCHEMA_KEY = 'omniotp_schema_version';
+    this.vaultKey = null;
+    this.vaultKdf = null; // KDF parameters of the unlocked vault, written back unchanged
+    this.ownWrites = null; // ciphertexts written here while onAccountsChange listens, to skip their events
   }
 
   /**
-   * Get all accounts
+   * Whether a PIN has been set up
    */
-  async getAccounts() {
+  async hasVault() {
+    const result = await chrome.storage.local.get(this.VAULT_KEY);
+    return !!result[this.VAULT_KEY];
+  }
+
+  get isUnlocked() {
+    return this.vaultKey !== null;
+  }
+
+  /**
+   * Create the vault with a new PIN, moving any plaintext accounts into it
+   */
+  async createVault(pin) {
+    if (!pin || pin.length < StorageService.MIN_PIN_LENGTH) {
+      throw new VaultError(`The PIN must be at least ${StorageService.MIN_PIN_LENGTH} characters`);
+    }
+    if (await this.hasVault()) {
+      throw new VaultError('A PIN is already set');
+    }
+
+    const salt = crypto.getRandomValues(new Uint8Array(StorageService.SALT_LENGTH));
+    const kdf = {
+      name: 'PBKDF2',
+      hash: 'SHA-256',
+      iterations: StorageService.ITERATIONS,
+      salt: SyncEncryptionService.bytesToBase64(salt)
+    };
+    await this.startSession(await SyncEncryptionService.deriveKeyBits(pin, salt, kdf.iterations), kdf);
+    await this.saveAccounts(await this.getPlaintextAccounts());
+    await chrome.storage.local.remove(this.ACCOUNTS_KEY);
+  }
+
+  /**
+   * Derive the key from the PIN and check it against the vault
+   * Plaintext accounts left behind by an older version are moved into the vault
+   */
+  async unlock(pin) {
+    const { keyBytes, kdf } = await this.deriveVaultKey(pin);
+    await this.startSession(keyBytes, kdf);
+
+    const plaintext = await this.getPlaintextAccounts();
+    if (plaintext.length) {
+      await this.addAccounts(plaintext);
+      await chrome.storage.local.remove(this.ACCOUNTS_KEY);
+    }
+  }
+
+  /**
+   * Re-enter the PIN before a sensitive action, throws VaultError unless it opens the vault
+   * The session is left as it is
+   */
+  async verifyPin(pin) {
+    await this.deriveVaultKey(pin);
+  }
+
+  /**
+   * Raw key bytes and KDF parameters for the PIN, checked by decrypting the vault
+   */
+  async deriveVaultKey(pin) {
+    const result = await chrome.storage.local.get(this.VAULT_KEY);
+    const vault = result[this.VAULT_KEY];
+    if (!vault) {
+      throw new VaultError('No PIN has been set up');
+    }
+    if (vault.version > StorageService.VAULT_VERSION) {
+      throw new VaultError('The vault was written by a newer version of OmniOTP, update the extension first');
+    }
+
+    const salt = Uint8Array.from(atob(vault.kdf.salt), c => c.charCodeAt(0));
+    const keyBytes = await SyncEncryptionService.deriveKeyBits(pin, salt, vault.kdf.iterations);
+    try {
+      // AES-GCM authentication fails with any other key
+      const key = await SyncEncryptionService.importKey(keyBytes);
+      await SyncEncryptionService.decryptWithKey(key, vault.data);
+    } catch (e) {
+      throw new VaultError('Wrong PIN');
+    }
+    return { keyBytes, kdf: vault.kdf };
+  }
+
+  /**
+   * Keep the unlocked key for the rest of the browser session
+   */
+  async startSession(keyBytes, kdf) {
+    this.vaultKey = await SyncEncryptionService.importKey(keyBytes);
+    this.vaultKdf = kdf;
+    await chrome.storage.session.set({ [this.SESSION_KEY]: SyncEncryptionService.bytesToBase64(keyBytes) });
+  }
+
+  /**
+   * Pick up a key left in the session by an earlier unlock, returns whether the vault is open
+   */
+  async restoreSession() {
+    const session = await chrome.storage.session.get(this.SESSION_KEY);
+    const result = await chrome.storage.local.get(this.VAULT_KEY);
+    const vault = result[this.VAULT_KEY];
+    if (!session[this.SESSION_KEY] || !vault) {
+      return false;
+    }
+
+    const keyBytes = Uint8Array.from(atob(session[this.SESSION_KEY]), c => c.charCodeAt(0));
+    this.vaultKey = await SyncEncryptionService.importKey(keyBytes);
+    this.vaultKdf = vault.kdf;
+    return true;
+  }
+
+  /**
+   * Whether any view has the vault unlocked (used by the service worker)
+   */
+  async hasSession() {
+    const session = await chrome.storage.session.get(this.SESSION_KEY);
+    return !!session[this.SESSION_KEY];
+  }
+
+  /**
+   * Forget the key here and in the session, the vault has to be unlocked again
+   * The cached sync key goes too, it would decrypt the same secrets from the cloud
+   */
+  async lock() {
+    this.vaultKey = null;
+    this.vaultKdf = null;
+    await chrome.storage.session.remove(this.SESSION_KEY);
+    await SyncEncryptionService.clearCachedKey();
+  }
+
+  /**
+   * Call listener() when the vault is locked elsewhere (auto-lock or another view)
+   */
+  onLock(listener) {
+    chrome.storage.session.onChanged.addListener(changes => {
+      const change = changes[this.SESSION_KEY];
+      if (change && !change.newValue && this.isUnlocked) {
+        this.vaultKey = null;
+        this.vaultKdf = null;
+        listener();
+      }
+    });
+  }
+
+  /**
+   * Delete the vault and every account in it (forgotten PIN)
+   */
+  async resetVault() {
+    await this.lock();
+    await chrome.storage.local.remove([this.VAULT_KEY, this.ACCOUNTS_KEY]);
+  }
+
+  async getPlaintextAccounts() {
     const result = await chrome.storage.local.get(this.ACCOUNTS_KEY);
     return result[this.ACCOUNTS_KEY] || [];
   }
 
+  /**
+   * Get all accounts
+   */
+  async getAccounts() {
+    if (!this.isUnlocked) {
+      throw new VaultError('The vault is locked');
+    }
+    const result = await chrome.storage.local.get(this.VAULT_KEY);
+    const vault = result[this.VAULT_KEY];
+    if (!vault) return [];
+    return JSON.parse(await SyncEncryptionService.decryptWithKey(this.vaultKey, vault.data));
+  }
+
+  /**
+   * Read-modify-write of the account list under a Web Lock shared by the popup, other
+   * extension pages and the service worker, so concurrent writers can't lose each
+   * other's changes. update(accounts) may change the array in place or return a new one
+   */
+  mutate(update) {
+    return navigator.locks.request(StorageService.LOCK_NAME, async () => {
+      const accounts = await this.getAccounts();
+      await this.writeAccounts((await update(accounts)) ?? accounts);
+    });
+  }
+
   /**
    * Add an account
    */
   async addAccount(account) {
-    const accounts = await this.getAccounts();
-    accounts.push(account);
-    await chrome.storage.local.set({ [this.ACCOUNTS_KEY]: accounts });
+    await this.mutate(accounts => [...accounts, account]);
+  }
+
+  /**
+   * Add several accounts with a single storage write
+   */
+  async addAccounts(newAccounts) {
+    await this.mutate(accounts => [...accounts, ...newAccounts]);
+  }
+
+  /**
+   * Change fields of one account
+   * Returns the updated account, or null if it no longer exists
+   */
+  async updateAccount(accountId, changes) {
+    let updated = null;
+    await this.mutate(accounts => accounts.map(account => {
+      if (account.id !== accountId) return account;
+      updated = { ...account, ...changes, id: accountId, updatedAt: Date.now() };
+      return updated;
+    }));
+    return updated;
+  }
+
+  /**
+   * Insert or replace accounts by id with a single write
+   * Returns { added, updated } counts
+   */
+  async bulkUpsert(incoming) {
+    const counts = { added: 0, updated: 0 };
+    await this.mutate(accounts => {
+      const byId = new Map(accounts.map(account => [account.id, account]));
+      for (const account of incoming) {
+        counts[byId.has(account.id) ? 'updated' : 'added']++;
+        byId.set(account.id, account);
+      }
+      return Array.from(byId.values());
+    });
+    return counts;
+  }
+
+  /**
+   * Replace every account with one write (restores and cloud downloads)
+   */
+  async saveAccounts(accounts) {
+    await this.mutate(() => accounts);
+  }
+
+  /**
+   * Encrypt and store the account list with a fresh IV, only called under the lock
+   */
+  async writeAccounts(accounts) {
+    if (!this.isUnlocked) {
+      throw new VaultError('The vault is locked');
+    }
+    // Every write has a fresh IV, so the ciphertext identifies it
+    const data = await SyncEncryptionService.encryptWithKey(this.vaultKey, JSON.stringify(accounts));
+    this.ownWrites?.add(data);
+    try {
+      await chrome.storage.local.set({
+        [this.VAULT_KEY]: {
+          version: StorageService.VAULT_VERSION,
+          // The key was derived with these, a changed ITERATIONS only applies to new vaults
+          kdf: this.vaultKdf,
+          data
+        }
+      });
+    } catch (e) {
+      this.ownWrites?.delete(data);
+      throw e;
+    }
   }
 
   /**
    * Delete an account
    */
   async deleteAccount(accountId) {
-    const accounts = await this.getAccounts();
-    const filtered = accounts.filter(a => a.id !== accountId);
-    await chrome.storage.local.set({ [this.ACCOUNTS_KEY]: filtered });
+    await this.mutate(accounts => accounts.filter(a => a.id !== accountId));
+  }
+
+  /**
+   * Advance the counter of an HOTP account
+   * Returns the updated account, or null if it no longer exists
+   */
+  async incrementCounter(accountId) {
+    let updated = null;
+    await this.mutate(accounts => {
+      const account = accounts.find(a => a.id === accountId);
+      if (!account) return;
+
+      account.counter = (Number(account.counter) || 0) + 1;
+      account.updatedAt = Date.now();
+      updated = account;
+    });
+    return updated;
   }
 
   /**
    * Clear all accounts
    */
   async clearAllAccounts() {
-    await chrome.storage.local.set({ [this.ACCOUNTS_KEY]: [] });
+    await this.saveAccounts([]);
+  }
+
+  /**
+   * Call listener() when the vault is written by another view or the service worker
+   * Writes made through this instance are skipped, the caller already has their result
+   */
+  onAccountsChange(listener) {
+    this.ownWrites ??= new Set();
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      const change = changes[this.VAULT_KEY];
+      if (areaName !== 'local' || !change) return;
+      if (this.ownWrites.delete(change.newValue?.data)) return;
+      if (this.isUnlocked) {
+        listener();
+      }
+    });
   }
 
   /**
@@ -50,6 +349,18 @@ export class StorageService {
     return accounts.length > 0;
   }
 
+  /**
+   * Schema version of the stored data, 0 before any migration has run (see storage-migrations.js)
+   */
+  async getSchemaVersion() {
+    const result = await chrome.storage.local.get(this.SCHEMA_KEY);
+    return result[this.SCHEMA_KEY] || 0;
+  }
+
+  async setSchemaVersion(version) {
+    await chrome.storage.local.set({ [this.SCHEMA_KEY]: version });
+  }
+
   /**
    * Get current user
    */
@@ -83,4 +394,30 @@ export class StorageService {
   async saveSettings(settings) {
     await chrome.storage.local.set({ [this.SETTINGS_KEY]: settings });
   }
+
+  /**
+   * Merge changes into the settings under a Web Lock, like mutate() does for accounts,
+   * so writers in different views don't drop each other's keys
+   */
+  updateSettings(changes) {
+    return navigator.locks.request(StorageService.SETTINGS_LOCK_NAME, async () => {
+      const settings = await this.getSettings();
+      await this.saveSettings({ ...settings, ...changes });
+    });
+  }
+
+  /**
+   * Auto-lock settings: { autoLockMinutes (0 = never), lockOnSystemLock }
+   */
+  async getLockSettings() {
+    const settings = await this.getSettings();
+    return {
+      autoLockMinutes: settings.autoLockMinutes ?? StorageService.DEFAULT_AUTO_LOCK_MINUTES,
+      lockOnSystemLock: settings.lockOnSystemLock ?? true
+    };
+  }
+
+  saveLockSettings(lockSettings) {
+    return this.updateSettings(lockSettings);
+  }
 }
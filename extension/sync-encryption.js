@@ -1,6 +1,8 @@
 /**
  * Cross-platform encryption service using PBKDF2 + AES-256-GCM
  * Must match Flutter's SyncEncryptionService parameters exactly
+ * The sync key is a non-extractable CryptoKey; its bytes are cached in chrome.storage.session
+ * so reopening the popup doesn't need the password again until the vault locks or the browser restarts
  */
 export class SyncEncryptionService {
   // Must match Flutter's parameters exactly
@@ -8,6 +10,7 @@ export class SyncEncryptionService {
   static ITERATIONS = 100000;
   static KEY_LENGTH = 32; // 256 bits
   static IV_LENGTH = 12;  // 96 bits for GCM
+  static SESSION_KEY = 'omniotp_sync_key';
 
   constructor() {
     this.derivedKey = null;
@@ -25,6 +28,41 @@ export class SyncEncryptionService {
     const saltString = `${SyncEncryptionService.FIXED_SALT}:${email}`;
     const saltBytes = new TextEncoder().encode(saltString);
     
+    const keyBytes = await SyncEncryptionService.deriveKeyBits(
+      password,
+      saltBytes,
+      SyncEncryptionService.ITERATIONS
+    );
+    this.derivedKey = await SyncEncryptionService.importKey(keyBytes);
+    await chrome.storage.session.set({
+      [SyncEncryptionService.SESSION_KEY]: { email, key: SyncEncryptionService.bytesToBase64(keyBytes) }
+    });
+    
+    return true;
+  }
+
+  /**
+   * Load the key cached by deriveKey() since the vault was last unlocked
+   * Returns false if there is none for this email
+   */
+  async restoreKey(email) {
+    const result = await chrome.storage.session.get(SyncEncryptionService.SESSION_KEY);
+    const cached = result[SyncEncryptionService.SESSION_KEY];
+    if (!cached || cached.email !== email) {
+      return false;
+    }
+
+    this.userEmail = email;
+    this.derivedKey = await SyncEncryptionService.importKey(
+      Uint8Array.from(atob(cached.key), c => c.charCodeAt(0))
+    );
+    return true;
+  }
+
+  /**
+   * PBKDF2-SHA256 -> AES-256-GCM key, shared by sync and password-protected backups
+   */
+  static async deriveKeyFromPassword(password, saltBytes, iterations) {
     // Import password as key material
     const passwordBytes = new TextEncoder().encode(password);
     const keyMaterial = await crypto.subtle.importKey(
@@ -36,20 +74,44 @@ export class SyncEncryptionService {
     );
     
     // Derive the actual encryption key using PBKDF2
-    this.derivedKey = await crypto.subtle.deriveKey(
+    return crypto.subtle.deriveKey(
       {
         name: 'PBKDF2',
         salt: saltBytes,
-        iterations: SyncEncryptionService.ITERATIONS,
+        iterations,
         hash: 'SHA-256'
       },
       keyMaterial,
       { name: 'AES-GCM', length: 256 },
-      true, // extractable for debugging
+      false,
       ['encrypt', 'decrypt']
     );
-    
-    return true;
+  }
+
+  /**
+   * PBKDF2-SHA256 -> raw 256-bit key, for the vault key kept in chrome.storage.session
+   */
+  static async deriveKeyBits(password, saltBytes, iterations) {
+    const keyMaterial = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(password),
+      'PBKDF2',
+      false,
+      ['deriveBits']
+    );
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', salt: saltBytes, iterations, hash: 'SHA-256' },
+      keyMaterial,
+      SyncEncryptionService.KEY_LENGTH * 8
+    );
+    return new Uint8Array(bits);
+  }
+
+  /**
+   * Raw key bytes -> non-extractable AES-256-GCM key
+   */
+  static importKey(keyBytes) {
+    return crypto.subtle.importKey('raw', keyBytes, 'AES-GCM', false, ['encrypt', 'decrypt']);
   }
 
   /**
@@ -60,11 +122,19 @@ export class SyncEncryptionService {
   }
 
   /**
-   * Clear the derived key (on logout)
+   * Clear the derived key and its cache (on logout and lock)
    */
-  clearKey() {
+  async clearKey() {
     this.derivedKey = null;
     this.userEmail = null;
+    await SyncEncryptionService.clearCachedKey();
+  }
+
+  /**
+   * Drop the cached key for every view, without needing an instance (vault lock)
+   */
+  static clearCachedKey() {
+    return chrome.storage.session.remove(SyncEncryptionService.SESSION_KEY);
   }
 
   /**
@@ -75,7 +145,24 @@ export class SyncEncryptionService {
     if (!this.derivedKey) {
       throw new Error('Encryption key not derived. Call deriveKey() first.');
     }
+    return SyncEncryptionService.encryptWithKey(this.derivedKey, plainText);
+  }
 
+  /**
+   * Decrypt data
+   * Expects base64 encoded: IV (12 bytes) + ciphertext + auth tag
+   */
+  async decrypt(encryptedBase64) {
+    if (!this.derivedKey) {
+      throw new Error('Encryption key not derived. Call deriveKey() first.');
+    }
+    return SyncEncryptionService.decryptWithKey(this.derivedKey, encryptedBase64);
+  }
+
+  /**
+   * AES-256-GCM encrypt with a given key, same layout as encrypt()
+   */
+  static async encryptWithKey(key, plainText) {
     // Generate random IV
     const iv = crypto.getRandomValues(new Uint8Array(SyncEncryptionService.IV_LENGTH));
     
@@ -83,7 +170,7 @@ export class SyncEncryptionService {
     const plaintextBytes = new TextEncoder().encode(plainText);
     const ciphertext = await crypto.subtle.encrypt(
       { name: 'AES-GCM', iv: iv },
-      this.derivedKey,
+      key,
       plaintextBytes
     );
 
@@ -93,18 +180,13 @@ export class SyncEncryptionService {
     combined.set(new Uint8Array(ciphertext), iv.length);
 
     // Return base64 encoded
-    return btoa(String.fromCharCode(...combined));
+    return SyncEncryptionService.bytesToBase64(combined);
   }
 
   /**
-   * Decrypt data
-   * Expects base64 encoded: IV (12 bytes) + ciphertext + auth tag
+   * AES-256-GCM decrypt with a given key, same layout as decrypt()
    */
-  async decrypt(encryptedBase64) {
-    if (!this.derivedKey) {
-      throw new Error('Encryption key not derived. Call deriveKey() first.');
-    }
-
+  static async decryptWithKey(key, encryptedBase64) {
     // Decode base64
     const combined = Uint8Array.from(atob(encryptedBase64), c => c.charCodeAt(0));
     
@@ -115,20 +197,31 @@ export class SyncEncryptionService {
     // Decrypt
     const decrypted = await crypto.subtle.decrypt(
       { name: 'AES-GCM', iv: iv },
-      this.derivedKey,
+      key,
       ciphertext
     );
 
     return new TextDecoder().decode(decrypted);
   }
 
+  /**
+   * Base64 without spreading into String.fromCharCode, which overflows the stack on large vaults
+   */
+  static bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
   /**
    * Encrypt accounts list for cloud sync
    */
   async encryptAccounts(accounts) {
     const data = {
       version: 2, // Version 2 = password-derived encryption
-      accounts: accounts,
+      accounts: accounts.map(a => SyncEncryptionService.normalizeAccount(a)),
       timestamp: Date.now(),
       email: this.userEmail
     };
@@ -147,6 +240,19 @@ export class SyncEncryptionService {
       throw new Error(`Incompatible vault version: ${data.version}. Expected version 2.`);
     }
     
-    return data.accounts || [];
+    return (data.accounts || []).map(a => SyncEncryptionService.normalizeAccount(a));
+  }
+
+  /**
+   * Fill in OTP type fields so HOTP/OCRA counters survive the round trip
+   * Accounts written by older clients have no type and are TOTP
+   */
+  static normalizeAccount(account) {
+    const type = (account.type || 'totp').toLowerCase();
+    const normalized = { ...account, type };
+    if (type === 'hotp' || type === 'ocra') {
+      normalized.counter = Number(account.counter) || 0;
+    }
+    return normalized;
   }
 }
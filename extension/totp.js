@@ -4,20 +4,70 @@
  * FIXED: Matches Android app implementation exactly
  */
 export class TotpService {
+  // Steam Guard alphabet (no vowels or easily confused characters)
+  static STEAM_ALPHABET = '23456789BCDFGHJKMNPQRTVWXY';
+  static STEAM_DIGITS = 5;
+
+  // RFC 6238 Appendix B test vectors (ASCII seeds "1234567890" repeated, Base32 encoded)
+  static RFC6238_VECTORS = [
+    { algorithm: 'SHA1', secret: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ', time: 59, code: '94287082' },
+    { algorithm: 'SHA1', secret: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ', time: 1111111109, code: '07081804' },
+    { algorithm: 'SHA1', secret: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ', time: 20000000000, code: '65353130' },
+    { algorithm: 'SHA256', secret: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZA', time: 59, code: '46119246' },
+    { algorithm: 'SHA256', secret: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZA', time: 1234567890, code: '91819424' },
+    { algorithm: 'SHA512', secret: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNA', time: 59, code: '90693936' },
+    { algorithm: 'SHA512', secret: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNA', time: 2000000000, code: '38618901' }
+  ];
+
+  // Web Crypto backend state - HMAC keys are imported once per account
+  static useWebCrypto = typeof crypto !== 'undefined' && !!crypto.subtle;
+  static keyCache = new Map();
+
+  // Clock used for every time step - swap it out to correct for local clock skew
+  static timeSource = () => Date.now();
+
+  /**
+   * Current time in milliseconds according to the injected time source
+   */
+  static now() {
+    return this.timeSource();
+  }
+
+  /**
+   * Replace the time source (a function returning epoch milliseconds)
+   */
+  static setTimeSource(timeSource) {
+    this.timeSource = timeSource || (() => Date.now());
+  }
+
+  /**
+   * Use the local clock shifted by a measured offset in milliseconds
+   */
+  static setClockOffset(offsetMs) {
+    const offset = Number(offsetMs) || 0;
+    this.setTimeSource(() => Date.now() + offset);
+  }
+
   /**
    * Generate TOTP code for an account
    * This is the primary method that should be used
+   * HOTP accounts (type 'hotp') use their stored counter instead of the clock
    */
-  static generateCode(account) {
-    const { secret, digits = 6, period = 30, algorithm = 'SHA1' } = account;
+  static generateCode(account, at = this.now()) {
+    const { secret, digits = 6, algorithm = 'SHA1', encoder } = account;
     
     if (!secret) {
       throw new Error('Secret is required');
     }
     
-    // Get current time step
-    const timeStep = Math.floor(Date.now() / 1000 / period);
-    
+    return this.generateCodeForCounter(secret, this.getCounter(account, at), { digits, algorithm, encoder });
+  }
+
+  /**
+   * Generate an HOTP code (RFC 4226) for an explicit counter value
+   * TOTP is HOTP with the counter derived from the current time step
+   */
+  static generateCodeForCounter(secret, counter, { digits = 6, algorithm = 'SHA1', encoder } = {}) {
     // Generate HMAC based on algorithm (case-insensitive)
     const algo = (algorithm || 'SHA1').toUpperCase().trim();
     let hmac;
@@ -25,127 +75,317 @@ export class TotpService {
     switch (algo) {
       case 'SHA256':
       case 'SHA-256':
-        hmac = this.hmacSha256Sync(secret, timeStep);
+        hmac = this.hmacSha256Sync(secret, counter);
         break;
       case 'SHA512':
       case 'SHA-512':
-        hmac = this.hmacSha512Sync(secret, timeStep);
+        hmac = this.hmacSha512Sync(secret, counter);
         break;
       case 'SHA1':
       case 'SHA-1':
       default:
-        hmac = this.hmacSha1Sync(secret, timeStep);
+        hmac = this.hmacSha1Sync(secret, counter);
         break;
     }
     
-    // Dynamic truncation (RFC 6238)
+    return this.encodeHmac(hmac, { digits, encoder });
+  }
+
+  /**
+   * Turn an HMAC result into the displayed code
+   */
+  static encodeHmac(hmac, { digits = 6, encoder } = {}) {
+    // Steam Guard maps the truncated value onto its own alphabet
+    if (encoder === 'steam') {
+      return this.steamEncode(hmac);
+    }
+    
+    // Dynamic truncation (RFC 4226 section 5.3)
     const code = this.dynamicTruncate(hmac, digits);
     
     return code.padStart(digits, '0');
   }
 
   /**
-   * Async version - calls sync version for compatibility
+   * Check if an account produces Steam Guard codes
    */
-  static async generateCodeAsync(account) {
-    return this.generateCode(account);
+  static isSteam(account) {
+    return account.encoder === 'steam';
   }
 
   /**
-   * HMAC-SHA1 implementation
+   * Check if an account is counter-based (HOTP)
    */
-  static hmacSha1Sync(secret, counter) {
-    const key = this.base32Decode(secret);
-    const message = this.counterToBytes(counter);
-    
-    const blockSize = 64;
-    let keyBytes = key;
-    
-    // Hash key if longer than block size
-    if (keyBytes.length > blockSize) {
-      keyBytes = this.sha1Sync(keyBytes);
+  static isHotp(account) {
+    return (account.type || 'totp').toLowerCase() === 'hotp';
+  }
+
+  /**
+   * Check if an account is OCRA challenge-response (see OcraService)
+   */
+  static isOcra(account) {
+    return (account.type || 'totp').toLowerCase() === 'ocra';
+  }
+
+  /**
+   * Check if an account's code is derived from the clock (TOTP and Steam)
+   */
+  static isTimeBased(account) {
+    return !this.isHotp(account) && !this.isOcra(account);
+  }
+
+  /**
+   * Get the moving factor for an account
+   * HOTP: the stored counter, TOTP: the current time step
+   */
+  static getCounter(account, at = this.now()) {
+    if (this.isHotp(account)) {
+      return Number(account.counter) || 0;
     }
+    const period = account.period || 30;
+    return Math.floor(at / 1000 / period);
+  }
+
+  /**
+   * Verify a code against an account
+   * TOTP checks `window` steps either side of `at`, HOTP looks `window` counters ahead
+   * Returns { delta, counter } for the matching step, or null if nothing matched
+   */
+  static verify(account, code, { window = 1, at = this.now() } = {}) {
+    const { secret, digits = 6, algorithm = 'SHA1', encoder } = account;
     
-    // Pad key to block size
-    const paddedKey = new Uint8Array(blockSize);
-    paddedKey.set(keyBytes);
+    if (!secret) {
+      throw new Error('Secret is required');
+    }
     
-    // Create inner and outer padded keys
-    const ipad = new Uint8Array(blockSize);
-    const opad = new Uint8Array(blockSize);
+    const candidate = String(code || '').replace(/\s/g, '').toUpperCase();
+    if (!candidate) return null;
     
-    for (let i = 0; i < blockSize; i++) {
-      ipad[i] = paddedKey[i] ^ 0x36;
-      opad[i] = paddedKey[i] ^ 0x5c;
+    const base = this.getCounter(account, at);
+    const deltas = [0];
+    for (let i = 1; i <= window; i++) {
+      deltas.push(i);
+      // HOTP counters only move forward
+      if (!this.isHotp(account)) deltas.push(-i);
     }
     
-    // HMAC(key, message) = H(opad || H(ipad || message))
-    const innerData = new Uint8Array(blockSize + message.length);
-    innerData.set(ipad);
-    innerData.set(message, blockSize);
-    const innerHash = this.sha1Sync(innerData);
-    
-    const outerData = new Uint8Array(blockSize + innerHash.length);
-    outerData.set(opad);
-    outerData.set(innerHash, blockSize);
+    for (const delta of deltas) {
+      const counter = base + delta;
+      if (counter < 0) continue;
+      const expected = this.generateCodeForCounter(secret, counter, { digits, algorithm, encoder });
+      if (this.constantTimeEquals(expected, candidate)) {
+        return { delta, counter };
+      }
+    }
     
-    return this.sha1Sync(outerData);
+    return null;
   }
 
   /**
-   * HMAC-SHA256 implementation
+   * Compare two codes without exiting early on the first mismatch
    */
-  static hmacSha256Sync(secret, counter) {
-    const key = this.base32Decode(secret);
-    const message = this.counterToBytes(counter);
-    
-    const blockSize = 64;
-    let keyBytes = key;
-    
-    if (keyBytes.length > blockSize) {
-      keyBytes = this.sha256Sync(keyBytes);
+  static constantTimeEquals(a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+      diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
     }
+    return diff === 0;
+  }
+
+  /**
+   * Async version - uses Web Crypto HMAC with a cached key per account
+   * Falls back to the pure-JS implementation when Web Crypto is unavailable
+   */
+  static async generateCodeAsync(account, at = this.now()) {
+    const { secret, digits = 6, encoder } = account;
     
-    const paddedKey = new Uint8Array(blockSize);
-    paddedKey.set(keyBytes);
+    if (!secret) {
+      throw new Error('Secret is required');
+    }
     
-    const ipad = new Uint8Array(blockSize);
-    const opad = new Uint8Array(blockSize);
+    if (!this.useWebCrypto) {
+      return this.generateCode(account, at);
+    }
     
-    for (let i = 0; i < blockSize; i++) {
-      ipad[i] = paddedKey[i] ^ 0x36;
-      opad[i] = paddedKey[i] ^ 0x5c;
+    try {
+      const key = await this.getHmacKey(account);
+      const message = this.counterToBytes(this.getCounter(account, at));
+      const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, message));
+      return this.encodeHmac(hmac, { digits, encoder });
+    } catch (e) {
+      console.warn('Web Crypto HMAC failed, using fallback:', e);
+      return this.generateCode(account, at);
+    }
+  }
+
+  /**
+   * Generate the code for a step relative to the one at `at` (1 = next code)
+   * TOTP moves by whole periods, HOTP moves the counter
+   */
+  static async generateCodeForStepAsync(account, stepOffset, at = this.now()) {
+    if (this.isHotp(account)) {
+      const counter = (Number(account.counter) || 0) + stepOffset;
+      return this.generateCodeAsync({ ...account, counter }, at);
+    }
+    const period = account.period || 30;
+    return this.generateCodeAsync(account, at + stepOffset * period * 1000);
+  }
+
+  /**
+   * Compute codes for many accounts at once for the same time step
+   * Pass stepOffset = 1 for the codes that follow the current ones
+   * Returns a Map of account id to code ('-----' if generation failed)
+   */
+  static async generateCodesAsync(accounts, at = this.now(), stepOffset = 0) {
+    const codes = await Promise.all(accounts.map(account =>
+      this.generateCodeForStepAsync(account, stepOffset, at).catch(e => {
+        console.error('Failed to generate OTP for', account.id, e);
+        return '-----';
+      })
+    ));
+    return new Map(accounts.map((account, i) => [account.id, codes[i]]));
+  }
+
+  /**
+   * Import (once) and return the HMAC CryptoKey for an account
+   * Cached by account id and re-imported if the secret or algorithm changes
+   */
+  static getHmacKey(account) {
+    const hash = this.getWebCryptoHash(account.algorithm);
+    const cacheId = account.id || account.secret;
+    const cached = this.keyCache.get(cacheId);
+    if (cached && cached.secret === account.secret && cached.hash === hash) {
+      return cached.key;
     }
     
-    const innerData = new Uint8Array(blockSize + message.length);
-    innerData.set(ipad);
-    innerData.set(message, blockSize);
-    const innerHash = this.sha256Sync(innerData);
+    const key = crypto.subtle.importKey(
+      'raw',
+      this.base32Decode(account.secret),
+      { name: 'HMAC', hash },
+      false,
+      ['sign']
+    );
+    this.keyCache.set(cacheId, { secret: account.secret, hash, key });
+    // Don't keep a rejected import around
+    key.catch(() => this.keyCache.delete(cacheId));
+    return key;
+  }
+
+  /**
+   * Drop cached keys (e.g. after accounts are deleted or replaced)
+   */
+  static clearKeyCache() {
+    this.keyCache.clear();
+  }
+
+  /**
+   * Map an account algorithm to a Web Crypto hash name
+   */
+  static getWebCryptoHash(algorithm) {
+    switch ((algorithm || 'SHA1').toUpperCase().trim()) {
+      case 'SHA256':
+      case 'SHA-256':
+        return 'SHA-256';
+      case 'SHA512':
+      case 'SHA-512':
+        return 'SHA-512';
+      default:
+        return 'SHA-1';
+    }
+  }
+
+  /**
+   * Check both HMAC backends against the RFC 6238 test vectors
+   * Web Crypto is only used if it agrees with the pure-JS implementation
+   */
+  static async verifyBackends() {
+    if (typeof crypto === 'undefined' || !crypto.subtle) {
+      this.useWebCrypto = false;
+      return false;
+    }
     
-    const outerData = new Uint8Array(blockSize + innerHash.length);
-    outerData.set(opad);
-    outerData.set(innerHash, blockSize);
+    let agree = true;
+    for (const vector of TotpService.RFC6238_VECTORS) {
+      const account = { id: `rfc6238-${vector.algorithm}`, digits: 8, period: 30, ...vector };
+      const at = vector.time * 1000;
+      const expected = vector.code;
+      const syncCode = this.generateCode(account, at);
+      let asyncCode;
+      try {
+        asyncCode = await this.generateCodeAsync(account, at);
+      } catch (e) {
+        asyncCode = null;
+      }
+      if (syncCode !== expected) {
+        console.error(`Pure-JS ${vector.algorithm} failed RFC 6238 vector at T=${vector.time}`);
+      }
+      if (asyncCode !== expected) {
+        agree = false;
+      }
+      this.keyCache.delete(account.id);
+    }
     
-    return this.sha256Sync(outerData);
+    this.useWebCrypto = agree;
+    if (!agree) {
+      console.warn('Web Crypto backend disagrees with RFC 6238 vectors, using pure-JS HMAC');
+    }
+    return agree;
+  }
+
+  /**
+   * HMAC-SHA1 implementation
+   */
+  static hmacSha1Sync(secret, counter) {
+    return this.hmacSync('SHA1', this.base32Decode(secret), this.counterToBytes(counter));
+  }
+
+  /**
+   * HMAC-SHA256 implementation
+   */
+  static hmacSha256Sync(secret, counter) {
+    return this.hmacSync('SHA256', this.base32Decode(secret), this.counterToBytes(counter));
   }
 
   /**
    * HMAC-SHA512 implementation
    */
   static hmacSha512Sync(secret, counter) {
-    const key = this.base32Decode(secret);
-    const message = this.counterToBytes(counter);
-    
-    const blockSize = 128; // SHA-512 uses 128-byte blocks
+    return this.hmacSync('SHA512', this.base32Decode(secret), this.counterToBytes(counter));
+  }
+
+  /**
+   * Generic HMAC (RFC 2104) over raw key and message bytes
+   * Shared by TOTP/HOTP and OCRA
+   */
+  static hmacSync(algorithm, key, message) {
+    let hash;
+    let blockSize = 64;
+    switch ((algorithm || 'SHA1').toUpperCase().replace('-', '')) {
+      case 'SHA256':
+        hash = data => this.sha256Sync(data);
+        break;
+      case 'SHA512':
+        hash = data => this.sha512Sync(data);
+        blockSize = 128; // SHA-512 uses 128-byte blocks
+        break;
+      default:
+        hash = data => this.sha1Sync(data);
+        break;
+    }
+
     let keyBytes = key;
     
+    // Hash key if longer than block size
     if (keyBytes.length > blockSize) {
-      keyBytes = this.sha512Sync(keyBytes);
+      keyBytes = hash(keyBytes);
     }
     
+    // Pad key to block size
     const paddedKey = new Uint8Array(blockSize);
     paddedKey.set(keyBytes);
     
+    // Create inner and outer padded keys
     const ipad = new Uint8Array(blockSize);
     const opad = new Uint8Array(blockSize);
     
@@ -154,16 +394,17 @@ export class TotpService {
       opad[i] = paddedKey[i] ^ 0x5c;
     }
     
+    // HMAC(key, message) = H(opad || H(ipad || message))
     const innerData = new Uint8Array(blockSize + message.length);
     innerData.set(ipad);
     innerData.set(message, blockSize);
-    const innerHash = this.sha512Sync(innerData);
+    const innerHash = hash(innerData);
     
     const outerData = new Uint8Array(blockSize + innerHash.length);
     outerData.set(opad);
     outerData.set(innerHash, blockSize);
     
-    return this.sha512Sync(outerData);
+    return hash(outerData);
   }
 
   /**
@@ -434,7 +675,7 @@ export class TotpService {
 
   static shr64(n, b) {
     if (b === 0) return n;
-    if (b < 32) return [(n[0] >>> b) | (n[1] << (32 - b)), n[1] >>> b];
+    if (b < 32) return [n[0] >>> b, (n[1] >>> b) | (n[0] << (32 - b))];
     return [n[1] >>> (b - 32), 0];
   }
 
@@ -464,14 +705,35 @@ export class TotpService {
    * Dynamic truncation per RFC 6238
    */
   static dynamicTruncate(hmac, digits) {
-    const offset = hmac[hmac.length - 1] & 0x0f;
-    const code = ((hmac[offset] & 0x7f) << 24) |
-                 ((hmac[offset + 1] & 0xff) << 16) |
-                 ((hmac[offset + 2] & 0xff) << 8) |
-                 (hmac[offset + 3] & 0xff);
+    const code = this.truncateToInt(hmac);
     return (code % Math.pow(10, digits)).toString();
   }
 
+  /**
+   * Extract the 31-bit integer selected by the HMAC's last nibble
+   */
+  static truncateToInt(hmac) {
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    return ((hmac[offset] & 0x7f) << 24) |
+           ((hmac[offset + 1] & 0xff) << 16) |
+           ((hmac[offset + 2] & 0xff) << 8) |
+           (hmac[offset + 3] & 0xff);
+  }
+
+  /**
+   * Steam Guard encoding - 5 characters from a 26-character alphabet
+   */
+  static steamEncode(hmac) {
+    const alphabet = TotpService.STEAM_ALPHABET;
+    let value = this.truncateToInt(hmac);
+    let code = '';
+    for (let i = 0; i < TotpService.STEAM_DIGITS; i++) {
+      code += alphabet[value % alphabet.length];
+      value = Math.floor(value / alphabet.length);
+    }
+    return code;
+  }
+
   /**
    * Base32 decoder (RFC 4648)
    */
@@ -484,8 +746,8 @@ export class TotpService {
     for (let i = 0; i < base32.length; i++) {
       const val = alphabet.indexOf(base32[i]);
       if (val === -1) {
-        console.warn(`Invalid base32 character '${base32[i]}' at position ${i}`);
-        continue; // Skip invalid characters
+        // Never guess - a skipped character silently produces wrong codes
+        throw new Error(`Invalid base32 character '${base32[i]}' at position ${i}`);
       }
       bits += val.toString(2).padStart(5, '0');
     }
@@ -502,7 +764,7 @@ export class TotpService {
    * Get remaining seconds in current period
    */
   static getRemainingSeconds(period = 30) {
-    const now = Math.floor(Date.now() / 1000);
+    const now = Math.floor(this.now() / 1000);
     return period - (now % period);
   }
 }
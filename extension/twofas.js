@@ -0,0 +1,84 @@
+import { ImportError, ImporterRegistry } from './importers.js';
+
+/**
+ * 2FAS Authenticator backup import (.2fas files)
+ * Encrypted backups keep the services in servicesEncrypted as "cipher:salt:iv" (Base64),
+ * AES-256-GCM with a PBKDF2-SHA256 key
+ */
+export class TwoFasImporter {
+  static NAME = '2FAS';
+  static ITERATIONS = 10000;
+
+  static detect({ json }) {
+    return !!json && typeof json === 'object' && !Array.isArray(json) &&
+      'schemaVersion' in json && (Array.isArray(json.services) || typeof json.servicesEncrypted === 'string');
+  }
+
+  static isEncrypted({ json }) {
+    return typeof json.servicesEncrypted === 'string' && json.servicesEncrypted.length > 0;
+  }
+
+  static async import(contents, password) {
+    const { json } = contents;
+    const services = this.isEncrypted(contents)
+      ? await this.decryptServices(json.servicesEncrypted, password)
+      : json.services;
+    if (!Array.isArray(services)) {
+      throw new ImportError('The 2FAS backup has no services');
+    }
+
+    const groups = Array.isArray(json.groups) ? json.groups.filter(group => group && typeof group === 'object') : [];
+    const groupNames = new Map(groups.map(group => [group.id, group.name]));
+    return ImporterRegistry.collect(services, service => this.toAccount(service, groupNames));
+  }
+
+  static async decryptServices(servicesEncrypted, password) {
+    if (!password) {
+      throw new ImportError('This 2FAS backup is encrypted, enter its password');
+    }
+
+    const parts = servicesEncrypted.split(':');
+    if (parts.length < 3) {
+      throw new ImportError('The encrypted 2FAS backup is corrupt');
+    }
+
+    let plain;
+    try {
+      const [cipher, salt, iv] = parts.map(part => ImporterRegistry.base64ToBytes(part));
+      const key = await ImporterRegistry.pbkdf2Key(password, salt, this.ITERATIONS, 'SHA-256');
+      plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, cipher);
+    } catch (e) {
+      throw new ImportError('Wrong password or corrupt backup');
+    }
+    try {
+      return JSON.parse(new TextDecoder().decode(plain));
+    } catch (e) {
+      throw new ImportError('The backup is corrupt and could not be decrypted');
+    }
+  }
+
+  static toAccount(service, groupNames) {
+    if (!service || typeof service !== 'object') {
+      return { reason: 'Not a valid 2FAS entry' };
+    }
+
+    const otp = service.otp && typeof service.otp === 'object' ? service.otp : {};
+    const account = ImporterRegistry.toAccount({
+      issuer: otp.issuer || service.name,
+      accountName: otp.account || otp.label,
+      secret: service.secret,
+      algorithm: otp.algorithm,
+      digits: otp.digits,
+      period: otp.period,
+      type: otp.tokenType,
+      counter: otp.counter
+    });
+    if (account.reason) return account;
+
+    const group = groupNames.get(service.groupId);
+    if (typeof group === 'string' && group) {
+      account.groups = [group];
+    }
+    return account;
+  }
+}